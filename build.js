@@ -84,6 +84,8 @@ import ifdef from "esbuild-plugin-ifdef";
     format: "iife",
     globalName: "CDK",
     outfile: browserTargetFile,
+    // Node.js built-in modules are only loaded dynamically when used (e.g. FileStorage)
+    external: ["node:*"],
     banner: {
       js: `/*!
   * ${pkg.name} v${pkg.version}
@@ -94,7 +96,17 @@ import ifdef from "esbuild-plugin-ifdef";
   */`,
     },
     define,
-    plugins: [ifdef(define)],
+    plugins: [
+      ifdef(define),
+      // Leave out axios (the axios transport uses a global `axios` or native fetch instead, see lib/transport.js)
+      {
+        name: "no-axios",
+        setup(build) {
+          build.onResolve({ filter: /\/axios-transport\.js$/ }, () => ({ path: "axios-transport", namespace: "no-axios" }))
+          build.onLoad({ filter: /.*/, namespace: "no-axios" }, () => ({ contents: "export const request = null" }))
+        },
+      },
+    ],
   })
 
 })()
@@ -12,8 +12,12 @@ export class CDKError extends Error {
    * @param {string} [options.message=""] message for the error
    * @param {Error} [options.relatedError=null] related error
    * @param {number} [options.code] HTTP status code for the error
+   * @param {string} [options.url] URL of the HTTP request (if any)
+   * @param {string} [options.method] name of the request method (e.g. `getConcepts`)
+   * @param {string} [options.service] URI of the service
+   * @param {any} [options.data] error body returned by the server (e.g. jskos-server's JSON errors)
    */
-  constructor({ message = "", relatedError = null, code = null } = {}) {
+  constructor({ message = "", relatedError = null, code = null, url = null, method = null, service = null, data = null } = {}) {
     if (!message && relatedError && relatedError.message) {
       message = relatedError.message
     }
@@ -21,6 +25,25 @@ export class CDKError extends Error {
     this.name = this.constructor.name
     this.relatedError = relatedError
     this.code = code
+    this.url = url
+    this.method = method
+    this.service = service
+    this.data = data
+  }
+
+  /**
+   * Serializable representation of the error (e.g. for logging or sending it to another context).
+   *
+   * @returns {Object} object with properties `name`, `message`, `code`, `url`, `method`, `service`, and `data`
+   */
+  toJSON() {
+    const json = { name: this.name, message: this.message }
+    for (const key of ["code", "url", "method", "service", "data"]) {
+      if (this[key] !== null && this[key] !== undefined) {
+        json[key] = this[key]
+      }
+    }
+    return json
   }
 }
 
@@ -40,7 +63,7 @@ export class MethodNotImplementedError extends CDKError {
    */
   constructor({ method, message = "", ...options }) {
     options.message = `Method not implemented: ${method} (${message})`
-    super(options)
+    super({ ...options, method })
   }
 }
 
@@ -71,6 +94,54 @@ export class InvalidOrMissingParameterError extends CDKError {
  */
 export class InvalidRequestError extends CDKError { }
 
+/**
+ * AuthenticationError is thrown when the server responded with 401 (i.e. authentication is missing or invalid).
+ *
+ * @category Errors
+ */
+export class AuthenticationError extends InvalidRequestError { }
+
+/**
+ * ForbiddenError is thrown when the server responded with 403 (i.e. the user is not allowed to perform the request).
+ *
+ * @category Errors
+ */
+export class ForbiddenError extends InvalidRequestError { }
+
+/**
+ * NotFoundError is thrown when the server responded with 404.
+ *
+ * @category Errors
+ */
+export class NotFoundError extends InvalidRequestError { }
+
+/**
+ * ConflictError is thrown when the server responded with 409 (e.g. an entity with the same URI already exists).
+ *
+ * @category Errors
+ */
+export class ConflictError extends InvalidRequestError { }
+
+/**
+ * RateLimitError is thrown when the server still responds with 429 (Too Many Requests) after all retries.
+ *
+ * @category Errors
+ */
+export class RateLimitError extends InvalidRequestError {
+
+  /**
+   * RateLimitError constructor.
+   *
+   * @param {Object} config
+   * @param {?number} [config.retryAfter=null] time in ms after which the request can be tried again (from the `Retry-After` header)
+   * @param {string} [config.message=""] message for the error
+   */
+  constructor({ retryAfter = null, ...options } = {}) {
+    super(options)
+    this.retryAfter = retryAfter
+  }
+}
+
 /**
  * BackendError is thrown when the server responded with a 5xx error (i.e. it's a problem on the server side).
  *
@@ -85,6 +156,27 @@ export class BackendError extends CDKError { }
  */
 export class BackendUnavailableError extends CDKError { }
 
+/**
+ * CircuitOpenError is thrown without performing the request when a service failed repeatedly and is considered unavailable (see `setCircuitBreakerConfig`).
+ *
+ * @category Errors
+ */
+export class CircuitOpenError extends BackendUnavailableError { }
+
+/**
+ * TimeoutError is thrown when the server did not respond within the timeout.
+ *
+ * @category Errors
+ */
+export class TimeoutError extends BackendUnavailableError { }
+
+/**
+ * CancelledError is thrown when a request was cancelled (e.g. via `signal`, `promise.cancel`, or `cancelAll`).
+ *
+ * @category Errors
+ */
+export class CancelledError extends CDKError { }
+
 /**
  * NetworkError is thrown when the request could not be performend (e.g. the network was not available).
  *
@@ -105,3 +197,28 @@ export class MissingApiUrlError extends CDKError { }
  * @category Errors
  */
 export class InvalidProviderError extends CDKError { }
+
+/**
+ * InvalidConfigError is thrown when a config with errors is set (see `cdk.validateConfig`).
+ *
+ * @category Errors
+ */
+export class InvalidConfigError extends CDKError {
+
+  /**
+   * InvalidConfigError constructor.
+   *
+   * @param {Object} config
+   * @param {Object[]} [config.errors=[]] list of errors as returned by `cdk.validateConfig`
+   * @param {Object[]} [config.warnings=[]] list of warnings as returned by `cdk.validateConfig`
+   * @param {string} [config.message=""] message for the error (default is a summary of the errors)
+   */
+  constructor({ errors = [], warnings = [], message = "", ...options } = {}) {
+    if (!message) {
+      message = "Invalid config: " + errors.map(({ service, path, message }) => `${path}${service ? ` (${service})` : ""} ${message}`).join("; ")
+    }
+    super({ message, ...options })
+    this.errors = errors
+    this.warnings = warnings
+  }
+}
@@ -5,6 +5,8 @@
 import CocodaSDK from "./lib/CocodaSDK.js"
 import * as errors from "./errors/index.js"
 import * as utils from "./utils/index.js"
+import * as storage from "./lib/storage.js"
+import * as formats from "./lib/formats.js"
 export * from "./providers/index.js"
 
 import * as providers from "./providers/index.js"
@@ -24,6 +26,10 @@ export {
   providers,
   // Utility functions
   utils,
+  // Storage adapters (e.g. for LocalMappingsProvider)
+  storage,
+  // Parsing and serialization of mappings (see also `cdk.importMappings` and `cdk.exportMappings`)
+  formats,
 }
 
 /**
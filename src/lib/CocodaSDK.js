@@ -1,32 +1,61 @@
 import * as errors from "../errors/index.js"
-import axios from "axios"
 import jskos from "jskos-tools"
 import { deepEqual } from "../utils/index.js"
+import { parseMappings, serializeMappings, mappingResolver } from "./formats.js"
+import { validateSchema } from "./config-schema.js"
+import { mergeConfigs, substituteEnv } from "./config-merge.js"
+import { connectLogin } from "./login.js"
+import { createHttpClient } from "./transport.js"
 
 import { BaseProvider, ConceptApiProvider, MappingsApiProvider } from "../providers/index.js"
 
-// Registered providers
+// Providers registered for all instances (each instance has its own provider set inheriting from this one, see `addProvider`)
 const providers = {
   [BaseProvider.providerName]: BaseProvider,
-  init(registry) {
+  /**
+   * Lists all registered provider classes (including those inherited from the global provider set).
+   *
+   * @returns {Object[]} list of provider classes
+   */
+  list() {
+    const result = []
+    for (const name in this) {
+      if (this[name]?.prototype instanceof BaseProvider || this[name] === BaseProvider) {
+        result.push(this[name])
+      }
+    }
+    return result
+  },
+  /**
+   * Determines the provider class for a registry object.
+   *
+   * @param {Object} registry registry object from config
+   * @returns {?Object} object with properties `Provider` (provider class) and `registry` (registry object to initialize the provider with), or null if no provider was found
+   */
+  resolve(registry) {
     let name = registry.provider // old-style
 
     // Initialize via JSKOS Service object
     if (registry.api) {
-      Object.keys(this).find(p => {
-        if (providers[p].prototype instanceof BaseProvider && registry.api === providers[p].providerType) {
-          registry = { ...registry }
-          delete registry.api
-          name = p
-          return true
-        }
-      })
+      const provider = this.list().find(provider => registry.api === provider.providerType)
+      if (provider) {
+        registry = { ...registry }
+        delete registry.api
+        name = provider.providerName
+      }
     }
 
-    if (this[name]) {
-      return new this[name](registry)    
+    if (this[name]?.prototype instanceof BaseProvider || this[name] === BaseProvider) {
+      return { Provider: this[name], registry }
+    }
+    return null
+  },
+  init(registry) {
+    const resolved = this.resolve(registry)
+    if (resolved) {
+      return new resolved.Provider(resolved.registry)
     }
-    throw new errors.InvalidProviderError()
+    throw new errors.InvalidProviderError({ message: `Unknown provider: ${registry.provider || registry.api}` })
   },
   addProvider(provider) {
     if (provider.prototype instanceof BaseProvider || provider === BaseProvider) {
@@ -48,8 +77,20 @@ Object.values(allProviders).forEach(provider => {
 })
 //#endif
 
-// Registry cache used by registryForScheme
-const registryCache = {}
+/**
+ * Copies a registry object from config for later comparison (non-plain objects like storage adapters are kept as is).
+ *
+ * @private
+ */
+const copyConfigEntry = value => {
+  if (Array.isArray(value)) {
+    return value.map(copyConfigEntry)
+  }
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([key, value]) => [key, copyConfigEntry(value)]))
+  }
+  return value
+}
 
 /**
  * CocodaSDK class
@@ -62,8 +103,12 @@ export default class CocodaSDK {
    * @param {Object} [config={}] Cocoda-stye config object
    */
   constructor(config) {
+    // Provider set of this instance (providers added via the static `addProvider` are available as well)
+    this._providers = Object.create(providers)
+    // Registry cache used by registryForScheme
+    this._registryCache = {}
     this.config = config
-    this.axios = axios.create()
+    this.axios = createHttpClient()
   }
 
   /**
@@ -92,16 +137,115 @@ export default class CocodaSDK {
    */
   set config(config) {
     config = config || {}
+    // Validate config before initializing registries
+    const { valid, errors: validationErrors, warnings } = this.validateConfig(config)
+    if (!valid) {
+      throw new errors.InvalidConfigError({ errors: validationErrors, warnings })
+    }
     // Preparations for config
     // 1. Make sure config.registries exists
     config.registries = config.registries || []
-    // 2. Initialize registries
-    config.registries = config.registries.map(registry => providers.init(registry)).filter(r => r)
-    // 3. Set cdk property for all registries
+    // 2. Initialize registries, keeping unchanged registries of the previous config (compared by URI)
+    const previousRegistries = this._config?.registries || []
+    const previous = new Map(previousRegistries.filter(registry => registry.uri).map(registry => [registry.uri, registry]))
+    const changes = { added: [], changed: [], removed: [], unchanged: [] }
+    const replaced = new Set(), created = []
+    let registries
+    try {
+      registries = config.registries.map(entry => {
+        if (entry instanceof BaseProvider) {
+          const kept = previousRegistries.includes(entry)
+          previous.delete(entry.uri)
+          changes[kept ? "unchanged" : "added"].push(entry)
+          return entry
+        }
+        const old = entry.uri && previous.get(entry.uri)
+        if (old) {
+          previous.delete(entry.uri)
+          if (deepEqual(old._configEntry, entry)) {
+            changes.unchanged.push(old)
+            return old
+          }
+        }
+        // Copy before initializing because providers may adjust the entry (e.g. `timeout`)
+        const configEntry = copyConfigEntry(entry)
+        const registry = this._providers.init(entry)
+        created.push(registry)
+        registry._configEntry = configEntry
+        if (old) {
+          // Keep authentication so that users don't have to log in again
+          registry.setAuth(old._auth)
+          replaced.add(old)
+          changes.changed.push(registry)
+        } else {
+          changes.added.push(registry)
+        }
+        return registry
+      }).filter(r => r)
+    } catch (error) {
+      // Keep the previous config and its registries; dispose registries that were already initialized for the new config
+      created.forEach(registry => registry.dispose())
+      throw error
+    }
+    config.registries = registries
+    // 3. Dispose registries that were replaced or removed (including previous registries without URI), only after all registries of the new config were initialized
+    for (const registry of replaced) {
+      registry.dispose()
+    }
+    for (const registry of previousRegistries) {
+      if (!config.registries.includes(registry) && !replaced.has(registry)) {
+        registry.dispose()
+        changes.removed.push(registry)
+      }
+    }
+    // 4. Set cdk property for all registries
     config.registries.forEach(registry => {
       registry.cdk = this
     })
     this._config = config
+    this._emit("configChanged", { config, ...changes })
+  }
+
+  /**
+   * Validates a config object against the JSON schemas of the providers (see `configSchema` in BaseProvider). Setting a config with errors throws an InvalidConfigError.
+   *
+   * Each error and warning is an object with properties `service` (URI of the registry if available), `provider` (provider name), `index` (index in `registries`), `path` (e.g. `registries[0].schemes[0].VOCID`), and `message`.
+   *
+   * @param {Object} config Cocoda config object
+   * @returns {Object} object with properties `valid` (true if there are no errors), `errors`, and `warnings`
+   */
+  validateConfig(config) {
+    const result = { valid: true, errors: [], warnings: [] }
+    if (config === null || typeof config !== "object" || Array.isArray(config)) {
+      result.errors.push({ service: null, provider: null, index: null, path: "", message: "config must be an object" })
+    } else if (config.registries !== undefined && !Array.isArray(config.registries)) {
+      result.errors.push({ service: null, provider: null, index: null, path: "registries", message: "must be an array" })
+    } else {
+      (config.registries || []).forEach((registry, index) => {
+        const path = `registries[${index}]`
+        const item = { service: registry?.uri || null, provider: registry?.provider || null, index }
+        if (registry === null || typeof registry !== "object" || Array.isArray(registry)) {
+          result.errors.push({ ...item, path, message: "must be an object" })
+          return
+        }
+        // Registries that are already initialized don't need to be validated
+        if (registry instanceof BaseProvider) {
+          return
+        }
+        const resolved = this._providers.resolve(registry)
+        if (!resolved) {
+          const message = registry.provider || registry.api ? `unknown provider ${registry.provider || registry.api}` : "provider or api is required"
+          result.errors.push({ ...item, path: `${path}.${registry.provider || !registry.api ? "provider" : "api"}`, message })
+          return
+        }
+        item.provider = resolved.Provider.providerName
+        for (const { level, ...details } of validateSchema(registry, resolved.Provider.configSchema, path)) {
+          result[level == "warning" ? "warnings" : "errors"].push({ ...item, ...details })
+        }
+      })
+    }
+    result.valid = result.errors.length === 0
+    return result
   }
 
   /**
@@ -110,7 +254,7 @@ export default class CocodaSDK {
    * @returns {Object} map of registered providers (name -> provider)
    */
   get providers() {
-    return providers
+    return this._providers
   }
 
   /**
@@ -124,13 +268,32 @@ export default class CocodaSDK {
   }
 
   /**
-   * Offer method to load a config file from URL.
+   * Loads a configuration and sets it.
+   *
+   * A source can be a URL of a config as JSON, a file path (Node.js only), or a config object. Multiple sources are merged in order (see src/lib/config-merge.js for the merge rules). In Node.js, `${NAME}` in file paths and in configs loaded from files or URLs is replaced by the environment variable `NAME`.
    *
-   * @param {string} url URL of config as JSON
+   * @param {string|Object|Array} sources source or list of sources
+   * @param {Object} [options]
+   * @param {string} [options.arrays="replace"] whether arrays in later sources replace ("replace") or append to ("append") arrays in earlier sources (registries are always merged by URI)
+   * @param {Object} [options.env] environment variables for substitution (default is `process.env` in Node.js; no substitution in the browser)
    */
-  async loadConfig(url) {
-    const response = await this.axios.get(url)
-    this.config = response.data
+  async loadConfig(sources, { arrays, env = typeof process !== "undefined" && !process.browser ? process.env : null } = {}) {
+    const configs = []
+    for (let source of [].concat(sources)) {
+      if (typeof source !== "string") {
+        configs.push(source)
+        continue
+      }
+      let config
+      if (/^https?:\/\//.test(source) || typeof window !== "undefined") {
+        config = (await this.axios.get(source)).data
+      } else {
+        const fs = await import("node:fs/promises")
+        config = JSON.parse(await fs.readFile(env ? substituteEnv(source, env) : source, "utf8"))
+      }
+      configs.push(env ? substituteEnv(config, env) : config)
+    }
+    this.config = mergeConfigs(configs, { arrays })
   }
 
   /**
@@ -194,8 +357,10 @@ export default class CocodaSDK {
    * @returns {Object} initialized service
    */
   initializeService(service) {
-    service = providers.init(service)
+    service = this._providers.init(service)
     service.cdk = this
+    this._services ||= new Set()
+    this._services.add(service)
     return service
   }
 
@@ -204,16 +369,166 @@ export default class CocodaSDK {
   }
 
   /**
-   * Method to add custom provider.
+   * Adds a listener for an event.
+   *
+   * Events:
+   * - "serviceHealthChanged": `health.status` of a service changed (payload: `{ registry, health, previousStatus }`, see `BaseProvider#health`)
+   * - "request": a request method of a service was called (payload: `{ method, registry, uri, params }`)
+   * - "response": a request method returned a result (payload additionally has `duration` in ms, `count` (`_totalCount` of the result), and `cached`)
+   * - "error": a request method failed (payload additionally has `duration`, `error`, and `errorClass`)
+   * - "unauthorized": a request was rejected with status 401 and no fresh token could be obtained, i.e. the user needs to log in again (payload: `{ registry, error }`, see `BaseProvider#setAuth`)
+   * - "userChanged": the current user of the connected login client changed (payload: `{ user, previousUser }`, see `connectLogin`)
+   * - "configChanged": a config was set (payload: `{ config, added, changed, removed, unchanged }`, each a list of services; unchanged services are kept, changed services are re-initialized, and removed services are disposed)
+   * - "retry": an HTTP request is retried (payload additionally has `url`, `attempt`, `delay`, `status`, `error`, and `errorClass`; `params` are the query parameters of the HTTP request)
+   *
+   * Requests that are answered by an identical request already in progress don't fire events.
+   *
+   * @param {string} event event name
+   * @param {Function} listener function that is called with the event payload
+   */
+  on(event, listener) {
+    this._listeners ||= {}
+    this._listeners[event] ||= []
+    this._listeners[event].push(listener)
+  }
+
+  /**
+   * Removes a listener added with `on`.
+   *
+   * @param {string} event event name
+   * @param {Function} listener listener to remove
+   */
+  off(event, listener) {
+    const index = this._listeners?.[event]?.indexOf(listener) ?? -1
+    if (index !== -1) {
+      this._listeners[event].splice(index, 1)
+    }
+  }
+
+  /**
+   * Calls all listeners for an event. Errors in listeners are caught so that they don't affect requests.
+   *
+   * @private
+   *
+   * @param {string} event event name
+   * @param {any} payload event payload
+   */
+  _emit(event, payload) {
+    for (const listener of [...(this._listeners?.[event] || [])]) {
+      try {
+        listener(payload)
+      } catch (error) {
+        console.warn(`Error in listener for event ${event}:`, error)
+      }
+    }
+  }
+
+  /**
+   * Sets authentication credentials for all services of this instance that use the same login server, identified by its public key `key` (see `auth.key` in the status of a service). Services initialized later get the credentials as soon as their status is loaded.
+   *
+   * The options are the same as for `BaseProvider#setAuth`; options that are not given are left unchanged. Tokens obtained via `getToken` by one service are shared with the other services.
+   *
+   * @param {Object} options
+   * @param {string} options.key public key of login-server instance the user is authorized for
+   * @param {string} [options.bearerToken] token that is sent with each request
+   * @param {Function} [options.getToken] (async) function that returns a fresh token
+   * @param {Function} [options.onUnauthorized] function that is called when a request is rejected with status 401 and no fresh token could be obtained
+   */
+  setAuth({ key, ...auth } = {}) {
+    if (!key) {
+      throw new errors.InvalidOrMissingParameterError({ parameter: "key" })
+    }
+    auth = Object.fromEntries(Object.entries(auth).filter(([, value]) => value !== undefined))
+    this._credentials ||= {}
+    this._credentials[key] = { ...this._credentials[key], ...auth }
+    for (const service of new Set([...this.config.registries, ...(this._services || [])])) {
+      if (service._config?.auth?.key === key || service._auth?.key === key) {
+        service.setAuth({ key, ...auth })
+      }
+    }
+  }
+
+  /**
+   * Connects this instance with a client for Login Server (e.g. an instance of gbv-login-client). The token from the client is set for all services that use the login server (see `setAuth`), and the current user is available as `cdk.user`. Changes of the user are emitted as "userChanged" event. A previous connection is disconnected.
+   *
+   * @param {Object} client login client (needs to support `addEventListener(null, listener)` for all events)
+   * @returns {Object} connection with a method `disconnect` (see src/lib/login.js)
+   */
+  connectLogin(client) {
+    this._login?.disconnect()
+    this._login = connectLogin(this, client)
+    return this._login
+  }
+
+  /**
+   * Current user of the connected login client (see `connectLogin`).
+   *
+   * @returns {?Object} user object or null if no user is logged in
+   */
+  get user() {
+    return this._login?.user || null
+  }
+
+  /**
+   * Returns whether the current user (see `connectLogin`) is authorized for a certain request on a service.
+   *
+   * @param {Object} options
+   * @param {Object|string} options.registry service or URI of a service in the config
+   * @param {string} options.type type of item (e.g. mappings)
+   * @param {string} options.action action to be performed (read/create/update/delete)
+   * @param {boolean} [options.crossUser] whether the request is a crossUser request (i.e. updading/deleting another user's item)
+   * @returns {boolean}
+   */
+  isAuthorizedFor({ registry, ...options }) {
+    if (typeof registry === "string") {
+      registry = this.getServiceForUri(registry)
+    }
+    if (!registry?.isAuthorizedFor) {
+      return false
+    }
+    return registry.isAuthorizedFor({ ...options, user: this.user })
+  }
+
+  /**
+   * Cancels all requests in progress of all services of this instance (services from the configuration and services initialized via `initializeService`).
+   *
+   * @param {any} [reason] reason for cancellation
+   */
+  cancelAll(reason) {
+    for (const service of new Set([...this.config.registries, ...(this._services || [])])) {
+      service.cancelAll?.(reason)
+    }
+  }
+
+  /**
+   * Disposes all services of this instance (see `BaseProvider#dispose`) and clears its caches, event listeners, and configuration. Use this to free an instance that is not needed anymore.
+   *
+   * @param {any} [reason] reason for cancellation of requests in progress
+   */
+  dispose(reason) {
+    for (const service of new Set([...this.config.registries, ...(this._services || [])])) {
+      service.dispose?.(reason)
+    }
+    this._services = new Set()
+    this._registryCache = {}
+    this._credentials = {}
+    this._login?.disconnect()
+    this._login = null
+    this._listeners = {}
+    this._config = { registries: [] }
+  }
+
+  /**
+   * Method to add custom provider to this instance.
    *
    * @param {Object} provider provider class that extends BaseProvider
    */
   addProvider(provider) {
-    providers.addProvider(provider)
+    this._providers.addProvider(provider)
   }
 
   /**
-   * Static method to add custom provider.
+   * Static method to add custom provider to all instances.
    *
    * @param {Object} provider provider class that extends BaseProvider
    */
@@ -241,9 +556,10 @@ export default class CocodaSDK {
    * @param {number} [config.interval=15000] interval in ms
    * @param {Function} config.callback callback function called with two parameters (error, result, previousResult)
    * @param {boolean} [config.callImmediately=true] whether to call the function immediately
+   * @param {Object} [config.service] service the repeating call belongs to (it will be stopped when the service is disposed, e.g. when it is removed from the config)
    * @returns {Object} object with two function properties, `stop` to cancel the repeating request, `start` to restart the repeating request, as well as three convenience properties, `isPaused` (whether it is currently paused), `lastResult`, `hasErrored` (whether the last call of the function has errored)
    */
-  repeat({ function: func, interval = 15000, callback, callImmediately = true } = {}) {
+  repeat({ function: func, interval = 15000, callback, callImmediately = true, service } = {}) {
     // Check parameters
     // ? Are these thorough checks really necessary?
     if (!func) {
@@ -307,7 +623,7 @@ export default class CocodaSDK {
     // Set up
     setup()
     // Return object with methods to start/stop the interval and an indicator whether it is paused
-    return {
+    const handle = {
       start: (...params) => {
         repeat.isPaused = false
         setup(...params)
@@ -339,6 +655,8 @@ export default class CocodaSDK {
         repeat.interval = value
       },
     }
+    service?._repeating?.push(handle)
+    return handle
   }
 
   /**
@@ -430,6 +748,181 @@ export default class CocodaSDK {
     return jskos.sortSchemes(schemes.filter(Boolean))
   }
 
+  /**
+   * Gets mappings from all registries that support mappings and merges the results.
+   *
+   * Mappings with the same members (see `jskos.compareMappingMembers`, which compares the mappings' `jskos.mappingMembersIdentifier`) are only included once, preferring the registry that comes first in the configuration. Errors of individual registries don't fail the whole request, but are reported in the `_errors` property of the result.
+   *
+   * @param {Object} [config={}] configuration object that will be used as a parameter for internal `getMappings` calls (e.g. `from`, `to`)
+   * @param {Object[]} [config.registries] registries to query (default: all registries from config)
+   * @returns {Object[]} array of JSKOS mappings with property `_errors` (array of objects with properties `registry` and `error`)
+   */
+  async getMappings({ registries, ...config } = {}) {
+    registries = registries || this.config.registries
+    const results = await Promise.all(registries.map(async registry => {
+      try {
+        // Capabilities might only be known after initialization
+        await registry.init()
+        if (!registry.has.mappings || registry.has.mappings.read === false) {
+          return { mappings: [] }
+        }
+        return { mappings: await registry.getMappings({ ...config }) }
+      } catch (error) {
+        return { mappings: [], error: { registry, error } }
+      }
+    }))
+    // jskos.compareMappingMembers compares exactly these identifiers (member URIs, independent of order and other member properties), so a Set of identifiers avoids comparing every pair of mappings
+    const identifiers = new Set()
+    const mappings = []
+    for (const mapping of results.map(result => result.mappings).flat()) {
+      const identifier = jskos.mappingMembersIdentifier(mapping)
+      if (!identifiers.has(identifier)) {
+        identifiers.add(identifier)
+        mappings.push(mapping)
+      }
+    }
+    mappings._errors = results.map(result => result.error).filter(Boolean)
+    return mappings
+  }
+
+  /**
+   * Searches for concepts in all registries that support search and merges the results.
+   *
+   * Results are ranked by interleaving the individual result lists (first hit of each registry, then second hit of each registry, etc., in order of the configuration). Concepts found in multiple registries are only included once. Registries that don't respond within `timeout` are cancelled and left out. Errors of individual registries are reported in the `_errors` property of the result.
+   *
+   * @param {Object} config
+   * @param {string} config.search search string
+   * @param {Object} [config.scheme] concept scheme to search in (registries not supporting the scheme are skipped)
+   * @param {string[]} [config.types] list of type URIs
+   * @param {number} [config.limit] maximum number of results (per registry and in total)
+   * @param {number} [config.timeout=10000] timeout for each registry in ms
+   * @param {Object[]} [config.registries] registries to query (default: all registries from config)
+   * @returns {Object[]} array of JSKOS concepts with property `_errors` (array of objects with properties `registry` and `error`)
+   */
+  async search({ search, scheme, types, limit, timeout = 10000, registries, ...config } = {}) {
+    if (!search) {
+      throw new errors.InvalidOrMissingParameterError({ parameter: "search" })
+    }
+    registries = registries || this.config.registries
+    const results = await Promise.all(registries.map(async registry => {
+      let timer
+      try {
+        await registry.init()
+        if (!registry.has.search || (scheme && !registry.supportsScheme(scheme))) {
+          return { concepts: [] }
+        }
+        const promise = registry.search({ ...config, search, scheme, types, limit })
+        const concepts = await Promise.race([
+          promise,
+          new Promise((resolve, reject) => {
+            timer = setTimeout(() => {
+              promise.cancel()
+              reject(new errors.TimeoutError({ message: `Search in registry ${registry.uri} timed out after ${timeout} ms.`, method: "search", service: registry.uri }))
+            }, timeout)
+          }),
+        ])
+        for (const concept of concepts) {
+          concept._registry = concept._registry || registry
+        }
+        return { concepts }
+      } catch (error) {
+        return { concepts: [], error: { registry, error } }
+      } finally {
+        clearTimeout(timer)
+      }
+    }))
+    const concepts = []
+    const maxLength = Math.max(0, ...results.map(result => result.concepts.length))
+    for (let rank = 0; rank < maxLength; rank += 1) {
+      for (const { concepts: list } of results) {
+        const concept = list[rank]
+        if (concept && !concepts.find(c => jskos.compare(c, concept))) {
+          concepts.push(concept)
+        }
+      }
+    }
+    const result = limit ? concepts.slice(0, limit) : concepts
+    result._errors = results.map(result => result.error).filter(Boolean)
+    return result
+  }
+
+  /**
+   * Imports mappings into a registry.
+   *
+   * Schemes and concept URIs that are missing in the data (e.g. in CSV, where only notations are given) are resolved via the schemes known to this instance (see `getSchemes`). Mappings are created in batches via `postMappings`. Mappings that could not be resolved or created are reported in `failed` instead of failing the whole import.
+   *
+   * @param {Object} config
+   * @param {Object} config.registry registry to import the mappings into
+   * @param {string} config.format one of "ndjson", "csv", "tsv", "sssom"
+   * @param {string} config.data serialized mappings
+   * @param {string} [config.language="en"] language of labels
+   * @param {Object[]} [config.schemes] schemes used for resolving (default: result of `getSchemes`)
+   * @param {number} [config.batchSize=100] number of mappings per `postMappings` call
+   * @returns {Object} report with arrays `created` (created mappings) and `failed` (objects with properties `mapping` and `error`)
+   */
+  async importMappings({ registry, format, data, language, schemes, batchSize = 100, ...config } = {}) {
+    if (!registry) {
+      throw new errors.InvalidOrMissingParameterError({ parameter: "registry" })
+    }
+    const mappings = parseMappings(data, { format, language })
+    const report = {
+      created: [],
+      failed: [],
+    }
+    // Only load schemes if necessary
+    const isComplete = mapping => ["from", "to"].every(side => mapping[`${side}Scheme`]?.uri && jskos.conceptsOfMapping(mapping, side).every(concept => concept.uri))
+    const resolve = mappingResolver(schemes || (mappings.every(isComplete) ? [] : await this.getSchemes()))
+    const resolved = []
+    for (const mapping of mappings) {
+      try {
+        resolved.push(resolve(mapping))
+      } catch (error) {
+        report.failed.push({ mapping, error })
+      }
+    }
+    for (let i = 0; i < resolved.length; i += batchSize) {
+      const batch = resolved.slice(i, i + batchSize)
+      const results = await registry.postMappings({ ...config, mappings: batch })
+      batch.forEach((mapping, index) => {
+        if (results._errors?.[index]) {
+          report.failed.push({ mapping, error: results._errors[index] })
+        } else {
+          report.created.push(results[index])
+        }
+      })
+    }
+    return report
+  }
+
+  /**
+   * Exports all mappings of a registry (optionally filtered by the usual `getMappings` parameters).
+   *
+   * @param {Object} config
+   * @param {Object} config.registry registry to export the mappings from
+   * @param {string} config.format one of "ndjson", "csv", "tsv", "sssom"
+   * @param {string} [config.language="en"] language of labels
+   * @param {Object[]} [config.schemes] schemes used to derive CURIE prefixes for SSSOM (default: result of `getSchemes`)
+   * @param {Object} [config.prefixes] additional CURIE prefixes for SSSOM
+   * @param {Object} [config.metadata] mapping set metadata for SSSOM (e.g. `mapping_set_id` and `license`)
+   * @param {number} [config.pageSize=100] number of mappings requested at once
+   * @returns {string} serialized mappings
+   */
+  async exportMappings({ registry, format, language, schemes, prefixes, metadata, pageSize = 100, ...config } = {}) {
+    if (!registry) {
+      throw new errors.InvalidOrMissingParameterError({ parameter: "registry" })
+    }
+    // Check format before requesting any mappings
+    serializeMappings([], { format })
+    const mappings = []
+    for await (const mapping of registry.iterate("getMappings", { ...config, pageSize })) {
+      mappings.push(mapping)
+    }
+    if (format == "sssom" && !schemes) {
+      schemes = await this.getSchemes()
+    }
+    return serializeMappings(mappings, { format, language, schemes, prefixes, metadata })
+  }
+
   /**
    * 
    * @param {Object} scheme JSKOS concept scheme object
@@ -447,9 +940,9 @@ export default class CocodaSDK {
       // Use type AND url for caching because the same API URL might be used for multiple API types
       const cacheKey = `${type}-${url}`
 
-      if (registryCache[cacheKey]) {
+      if (this._registryCache[cacheKey]) {
         // Registry in cache is used
-        const registry = registryCache[cacheKey]
+        const registry = this._registryCache[cacheKey]
         // Check if scheme is part of registry already; if not, add it
         if (Array.isArray(registry._jskos.schemes) && !jskos.isContainedIn(scheme, registry._jskos.schemes)) {
           registry._jskos.schemes.push(scheme)
@@ -459,7 +952,7 @@ export default class CocodaSDK {
         // Some providers need access to the scheme
         config.scheme = scheme
         // Multiple providers may implement a certain API, so we're looping through providers and returning the first that works
-        for (const provider of Object.values(providers)) {
+        for (const provider of this._providers.list()) {
           if (provider?.providerType !== type) {
             continue
           }
@@ -471,7 +964,7 @@ export default class CocodaSDK {
           }
           // Get registry config from provider
           const providerName = provider.providerName
-          const registryConfig = providers[providerName]._registryConfigForBartocApiConfig(config)
+          const registryConfig = provider._registryConfigForBartocApiConfig(config)
           if (!registryConfig) {
             continue
           }
@@ -480,7 +973,7 @@ export default class CocodaSDK {
           try {
             registry = this.initializeRegistry(registryConfig)
             if (registry) {
-              registryCache[cacheKey] = registry
+              this._registryCache[cacheKey] = registry
               return registry
             }
           } catch (error) {
@@ -0,0 +1,17 @@
+/**
+ * axios transport
+ *
+ * The only module that imports axios. It is loaded dynamically by transport.js on the first request with the "axios" transport, so that axios is not needed when the "fetch" transport is used. The browser build replaces this module (see build.js).
+ */
+
+import axios from "axios"
+
+/**
+ * Performs a request with axios.
+ *
+ * @param {Object} config request config
+ * @returns {Promise} axios response
+ */
+export function request(config) {
+  return axios.request(config)
+}
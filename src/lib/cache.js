@@ -0,0 +1,139 @@
+import { MemoryStorage, createStorage } from "./storage.js"
+
+/**
+ * Returns a store for the response cache.
+ *
+ * @param {Object} options
+ * @param {string|Object} [options.store] "memory", "localforage", or a storage adapter (see storage.js); defaults to localforage in the browser and memory in Node
+ * @param {number} [options.maxEntries] maximum number of entries
+ * @param {string} [options.prefix] prefix of the keys that count towards `maxEntries` (for stores shared by several registries)
+ * @returns {Object} localforage-compatible store
+ */
+export function createStore({ store, maxEntries, prefix } = {}) {
+  if (!store) {
+    store = typeof window !== "undefined" && window.indexedDB ? "localforage" : "memory"
+  }
+  if (store === "localforage") {
+    // Use a separate database so that cached data doesn't get mixed with other data
+    store = { type: "localforage", name: "cocoda-sdk", storeName: "cache" }
+  }
+  if (store === "memory") {
+    return new MemoryStorage({ maxEntries })
+  }
+  return createStorage(store, { maxEntries, prefix })
+}
+
+/**
+ * Stable JSON serialization of request options to be used as cache key.
+ *
+ * Keys are sorted, functions and internal properties (starting with `_`, e.g. `_registry`) are left out, as well as `cancelToken` and `signal`. Circular references (e.g. between `narrower` and `broader` of concepts) are replaced by the object's URI.
+ *
+ * @param {any} value
+ * @param {WeakSet} [ancestors] objects on the current path (used to detect circular references)
+ * @returns {string}
+ */
+export function cacheKey(value, ancestors = new WeakSet()) {
+  if (value && typeof value === "object") {
+    if (ancestors.has(value)) {
+      return `{"$ref":${JSON.stringify(value.uri ?? null)}}`
+    }
+    ancestors.add(value)
+    const key = Array.isArray(value)
+      ? `[${value.map(item => cacheKey(item, ancestors)).join(",")}]`
+      : `{${Object.keys(value).sort()
+        .filter(key => !key.startsWith("_") && key !== "cancelToken" && key !== "signal" && typeof value[key] !== "function" && value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${cacheKey(value[key], ancestors)}`)
+        .join(",")}}`
+    ancestors.delete(value)
+    return key
+  }
+  return JSON.stringify(value) ?? "null"
+}
+
+/**
+ * Response cache for a single registry.
+ */
+export class ResponseCache {
+
+  /**
+   * @param {Object} options
+   * @param {Object} options.store localforage-compatible store
+   * @param {number|Object} options.ttl time to live in ms; either a number or an object with method names, result types (e.g. `Concepts`), or `default` as keys
+   * @param {string} [options.prefix=""] prefix for all keys (used to separate registries sharing a store)
+   */
+  constructor({ store, ttl, prefix = "" }) {
+    this.store = store
+    this.ttl = ttl
+    this.prefix = prefix
+  }
+
+  /**
+   * Returns the time to live for a certain request method.
+   *
+   * @param {string} method method name (e.g. `getNarrower`)
+   * @param {string} [type] result type of the method (e.g. `Concepts`)
+   * @returns {number} time to live in ms (0 means no caching)
+   */
+  ttlFor(method, type) {
+    if (typeof this.ttl === "number") {
+      return this.ttl
+    }
+    return this.ttl?.[method] ?? this.ttl?.[type] ?? this.ttl?.default ?? 0
+  }
+
+  /**
+   * Returns a cached result or `undefined` if there is no valid entry.
+   *
+   * @param {string} key
+   */
+  async get(key) {
+    const entry = await this.store.getItem(this.prefix + key)
+    if (!entry) {
+      return undefined
+    }
+    if (entry.expires < Date.now()) {
+      await this.store.removeItem(this.prefix + key)
+      return undefined
+    }
+    const value = JSON.parse(entry.value)
+    if (value && typeof value === "object") {
+      if (entry.totalCount !== undefined) {
+        value._totalCount = entry.totalCount
+      }
+      if (entry.url !== undefined) {
+        value._url = entry.url
+      }
+    }
+    return value
+  }
+
+  /**
+   * Saves a result in the cache. Results are serialized so that later adjustments by the caller don't affect the cache.
+   *
+   * @param {string} key
+   * @param {any} value
+   * @param {number} ttl time to live in ms
+   */
+  async set(key, value, ttl) {
+    if (!(ttl > 0) || value === undefined) {
+      return
+    }
+    await this.store.setItem(this.prefix + key, {
+      value: JSON.stringify(value, (key, value) => (key === "_registry" || typeof value === "function") ? undefined : value),
+      totalCount: value?._totalCount,
+      url: value?._url,
+      expires: Date.now() + ttl,
+    })
+  }
+
+  /**
+   * Removes all entries of this cache from the store.
+   */
+  async clear() {
+    for (const key of await this.store.keys()) {
+      if (key.startsWith(this.prefix)) {
+        await this.store.removeItem(key)
+      }
+    }
+  }
+}
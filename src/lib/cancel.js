@@ -0,0 +1,78 @@
+/**
+ * Cancellation of HTTP requests
+ *
+ * Cancel errors and cancel tokens that are compatible with axios (`axios.isCancel` recognizes the errors, the axios adapters accept the tokens) without depending on axios, so that the fetch transport and BaseProvider work without it.
+ */
+
+/**
+ * Error for cancelled HTTP requests (like axios' `CanceledError`).
+ */
+export class CanceledError extends Error {
+
+  /**
+   * @param {string} [message="canceled"]
+   * @param {Object} [config] request config
+   * @param {Object} [request] request
+   */
+  constructor(message, config, request) {
+    super(message ?? "canceled")
+    this.name = "CanceledError"
+    this.code = "ERR_CANCELED"
+    this.config = config
+    this.request = request
+    // Marker used by axios and `isCancel`
+    this.__CANCEL__ = true
+  }
+
+}
+
+/**
+ * Returns whether an error is caused by cancellation (works for errors of both transports).
+ *
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isCancel(value) {
+  return !!value?.__CANCEL__
+}
+
+/**
+ * Returns a source for a cancel token with the same interface as `axios.CancelToken.source()`.
+ *
+ * @returns {Object} object with properties `token` and `cancel`
+ */
+export function cancelTokenSource() {
+  const listeners = new Set()
+  let resolvePromise
+  const token = {
+    reason: undefined,
+    promise: new Promise(resolve => {
+      resolvePromise = resolve
+    }),
+    throwIfRequested() {
+      if (token.reason) {
+        throw token.reason
+      }
+    },
+    subscribe(listener) {
+      if (token.reason) {
+        listener(token.reason)
+      } else {
+        listeners.add(listener)
+      }
+    },
+    unsubscribe(listener) {
+      listeners.delete(listener)
+    },
+  }
+  const cancel = (message, config, request) => {
+    if (token.reason) {
+      return
+    }
+    token.reason = new CanceledError(message, config, request)
+    resolvePromise(token.reason)
+    listeners.forEach(listener => listener(token.reason))
+    listeners.clear()
+  }
+  return { token, cancel }
+}
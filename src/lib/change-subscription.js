@@ -0,0 +1,206 @@
+/**
+ * Change subscriptions
+ *
+ * Used by `BaseProvider#subscribe` to deliver changes of mappings, concordances, or annotations to a handler, either via a WebSocket change stream (like jskos-server's `/changes` endpoints) or by polling and comparing results.
+ *
+ * Change events have the properties `type` ("create", "update", or "delete"), `id` (URI or ID of the object), and `object` (the created or updated object, the deleted object if known).
+ */
+
+import { deepEqual } from "../utils/index.js"
+
+const changeTypes = ["create", "update", "delete"]
+
+// Change types of MongoDB change streams
+const changeTypeAliases = {
+  insert: "create",
+  replace: "update",
+}
+
+/**
+ * Returns the identifier of an object (URI or ID).
+ *
+ * @private
+ */
+const identifier = object => object?.uri || object?.id || null
+
+/**
+ * Returns a copy of an object without properties starting with `_` (e.g. `_registry`) for comparison.
+ *
+ * @private
+ */
+const withoutPrivateProps = object => Object.fromEntries(Object.entries(object || {}).filter(([key]) => !key.startsWith("_")))
+
+/**
+ * Compares two lists of objects by identifier and returns the changes between them.
+ *
+ * @param {Object[]} previous previous list of objects
+ * @param {Object[]} current current list of objects
+ * @returns {Object[]} list of change events
+ */
+export function diffResults(previous = [], current = []) {
+  const changes = []
+  const previousById = new Map(previous.map(object => [identifier(object), object]))
+  const currentIds = new Set()
+  for (const object of current) {
+    const id = identifier(object)
+    currentIds.add(id)
+    if (!previousById.has(id)) {
+      changes.push({ type: "create", id, object })
+    } else if (!deepEqual(withoutPrivateProps(previousById.get(id)), withoutPrivateProps(object))) {
+      changes.push({ type: "update", id, object })
+    }
+  }
+  for (const [id, object] of previousById) {
+    if (!currentIds.has(id)) {
+      changes.push({ type: "delete", id, object })
+    }
+  }
+  return changes
+}
+
+/**
+ * Converts a message from a change stream into a change event.
+ *
+ * @param {string|Object} message message (JSON) with properties `type` (or `operationType`), `id`, `document` (or `object`), and optionally `objectType`
+ * @param {string} [objectType] expected object type (e.g. "mapping"); messages with a different `objectType` are ignored
+ * @returns {?Object} change event or null if the message is not a change
+ */
+export function parseChangeMessage(message, objectType) {
+  if (typeof message === "string") {
+    try {
+      message = JSON.parse(message)
+    } catch (error) {
+      return null
+    }
+  }
+  let type = message?.type || message?.operationType
+  type = changeTypeAliases[type] || type
+  if (!changeTypes.includes(type)) {
+    return null
+  }
+  if (objectType && message.objectType && message.objectType !== objectType) {
+    return null
+  }
+  const object = message.document || message.object || message.fullDocument || null
+  return { type, id: message.id || identifier(object), object }
+}
+
+/**
+ * A subscription to changes (see `BaseProvider#subscribe`).
+ */
+export default class ChangeSubscription {
+
+  /**
+   * @param {Object} options
+   * @param {Function} options.handler function called with each change event
+   * @param {Function} [options.onError] function called with errors (failed polling requests or WebSocket errors)
+   * @param {Function} [options.onUnsubscribe] function called when the subscription is stopped
+   */
+  constructor({ handler, onError, onUnsubscribe }) {
+    this._handler = handler
+    this._onError = onError
+    this._onUnsubscribe = onUnsubscribe
+    this._timer = null
+    this._socket = null
+    this.mode = null
+    this.active = true
+  }
+
+  /**
+   * Delivers a change event to the handler. Errors in the handler are caught so that they don't stop the subscription.
+   *
+   * @private
+   */
+  _deliver(change) {
+    try {
+      this._handler(change)
+    } catch (error) {
+      console.warn("Error in subscription handler:", error)
+    }
+  }
+
+  /**
+   * Receives changes from a WebSocket change stream and reconnects automatically (with exponential backoff up to 30 seconds) when the connection is closed.
+   *
+   * @param {Object} options
+   * @param {string} options.url WebSocket URL
+   * @param {Function} options.WebSocket WebSocket class
+   * @param {string} [options.objectType] expected object type of messages
+   * @param {Function} [options.adjust] function to adjust received objects
+   */
+  stream({ url, WebSocket, objectType, adjust = object => object }) {
+    this.mode = "websocket"
+    let attempts = 0
+    const connect = () => {
+      if (!this.active) {
+        return
+      }
+      const socket = new WebSocket(url)
+      this._socket = socket
+      socket.onopen = () => {
+        attempts = 0
+      }
+      socket.onmessage = ({ data }) => {
+        const change = parseChangeMessage(data, objectType)
+        if (change) {
+          change.object = change.object && adjust(change.object)
+          this._deliver(change)
+        }
+      }
+      socket.onerror = (error) => {
+        this._onError?.(error)
+      }
+      socket.onclose = () => {
+        if (!this.active) {
+          return
+        }
+        const delay = Math.min(1000 * 2 ** attempts, 30000)
+        attempts += 1
+        this._timer = setTimeout(connect, delay)
+      }
+    }
+    connect()
+  }
+
+  /**
+   * Polls results and delivers the differences between consecutive results. The first result is only used as baseline.
+   *
+   * @param {Object} options
+   * @param {Function} options.poll async function that returns the current list of objects
+   * @param {number} [options.interval=15000] interval in ms
+   */
+  poll({ poll, interval = 15000 }) {
+    this.mode = "polling"
+    let previous = null
+    const call = async () => {
+      try {
+        const current = await poll()
+        if (!this.active) {
+          return
+        }
+        if (previous) {
+          diffResults(previous, current).forEach(change => this._deliver(change))
+        }
+        previous = current
+      } catch (error) {
+        this._onError?.(error)
+      }
+      if (this.active) {
+        this._timer = setTimeout(call, interval)
+      }
+    }
+    call()
+  }
+
+  /**
+   * Stops the subscription.
+   */
+  unsubscribe() {
+    this.active = false
+    clearTimeout(this._timer)
+    this._socket?.close()
+    this._socket = null
+    this._onUnsubscribe?.(this)
+  }
+
+}
@@ -0,0 +1,128 @@
+/**
+ * Merging of configurations
+ *
+ * Used by `cdk.loadConfig` to combine several configurations (e.g. a default config, site-specific overrides, and per-user additions). Later configurations take precedence:
+ * - objects are merged recursively and `null` removes a property
+ * - registries are merged by `uri` (registries without URI or with a new URI are appended); `registries` can also be an object with URIs as keys where `null` removes a registry
+ * - within registries, `null` is kept as value because it has a meaning there (e.g. `status: null` means there is no status endpoint)
+ * - other arrays are replaced (`arrays: "replace"`, default) or appended (`arrays: "append"`)
+ */
+
+import * as errors from "../errors/index.js"
+
+const isPlainObject = value => value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype
+
+/**
+ * Copies plain objects and arrays, removing properties with value `null` unless `keepNull` is set.
+ *
+ * @private
+ */
+const copy = (value, keepNull = false) => {
+  if (Array.isArray(value)) {
+    return value.map(item => copy(item, keepNull))
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).filter(([, value]) => keepNull || value !== null).map(([key, value]) => [key, copy(value, keepNull)]))
+  }
+  return value
+}
+
+/**
+ * Merges two values according to the rules above.
+ *
+ * @private
+ */
+const mergeValues = (target, source, options) => {
+  const { keepNull } = options
+  if (Array.isArray(target) && Array.isArray(source) && options.arrays === "append") {
+    return target.concat(copy(source, keepNull))
+  }
+  if (!isPlainObject(target) || !isPlainObject(source)) {
+    return copy(source, keepNull)
+  }
+  const result = { ...target }
+  for (const [key, value] of Object.entries(source)) {
+    if (value === null && !keepNull) {
+      delete result[key]
+    } else if (value !== undefined) {
+      result[key] = key in result ? mergeValues(result[key], value, options) : copy(value, keepNull)
+    }
+  }
+  return result
+}
+
+/**
+ * Normalizes `registries` to an array of entries `[uri, registry]` (`uri` is null for registries without URI, `registry` is null for registries to be removed).
+ *
+ * @private
+ */
+const registryEntries = registries => {
+  if (registries === undefined) {
+    return []
+  }
+  if (Array.isArray(registries)) {
+    return registries.map(registry => [registry?.uri || null, registry])
+  }
+  if (isPlainObject(registries)) {
+    return Object.entries(registries).map(([uri, registry]) => [uri, registry && { uri, ...registry }])
+  }
+  throw new errors.InvalidOrMissingParameterError({ parameter: "registries", message: "registries needs to be an array or an object with URIs as keys" })
+}
+
+/**
+ * Merges a list of configurations.
+ *
+ * @param {Object[]} configs list of config objects (later configs take precedence)
+ * @param {Object} [options]
+ * @param {string} [options.arrays="replace"] whether arrays (except `registries`) are replaced ("replace") or appended ("append")
+ * @returns {Object} merged config (the given configs are not modified)
+ */
+export function mergeConfigs(configs, { arrays = "replace" } = {}) {
+  if (!["replace", "append"].includes(arrays)) {
+    throw new errors.InvalidOrMissingParameterError({ parameter: "arrays", message: `Unsupported value for arrays: ${arrays} (supported: replace, append)` })
+  }
+  const options = { arrays }
+  let result = {}
+  const registries = []
+  for (const config of configs) {
+    if (!isPlainObject(config)) {
+      throw new errors.InvalidOrMissingParameterError({ parameter: "config", message: "config needs to be an object" })
+    }
+    const { registries: configRegistries, ...rest } = config
+    result = mergeValues(result, rest, options)
+    for (const [uri, registry] of registryEntries(configRegistries)) {
+      const index = uri ? registries.findIndex(r => r.uri === uri) : -1
+      if (registry === null) {
+        index !== -1 && registries.splice(index, 1)
+      } else if (index === -1) {
+        registries.push(copy(registry, true))
+      } else {
+        registries[index] = mergeValues(registries[index], registry, { ...options, keepNull: true })
+      }
+    }
+  }
+  if (configs.some(config => config.registries !== undefined)) {
+    result.registries = registries
+  }
+  return result
+}
+
+/**
+ * Replaces `${NAME}` in all strings of a value by the variable `NAME` of an environment. Unknown variables are kept as they are.
+ *
+ * @param {any} value value (objects and arrays are copied)
+ * @param {Object} env environment variables (e.g. `process.env`)
+ * @returns {any} value with substitutions
+ */
+export function substituteEnv(value, env = {}) {
+  if (typeof value === "string") {
+    return value.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g, (match, name) => env[name] ?? match)
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => substituteEnv(item, env))
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, substituteEnv(item, env)]))
+  }
+  return value
+}
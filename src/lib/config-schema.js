@@ -0,0 +1,95 @@
+/**
+ * Configuration schemas
+ *
+ * Providers declare the options of their service objects as JSON Schema in `static configSchema` (see BaseProvider). Only the subset of JSON Schema needed for this is supported: `type` (string or array of types), `enum`, `minimum`, `minItems`, `properties`, `required`, `items`, and `additionalProperties: false`. Unknown properties are reported as warnings instead of errors because service objects can contain arbitrary JSKOS properties. The non-standard keyword `level: "warning"` reports all violations of a (sub)schema as warnings (used for the generic options in BaseProvider's schema, so that only provider-specific options are fatal).
+ */
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case "null":
+      return value === null
+    case "array":
+      return Array.isArray(value)
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value)
+    case "integer":
+      return Number.isInteger(value)
+    default:
+      return typeof value === type
+  }
+}
+
+/**
+ * Validates a value against a schema.
+ *
+ * @param {any} value value to validate
+ * @param {Object} schema JSON Schema (see above for supported keywords)
+ * @param {string} [path=""] path of the value used in results (e.g. `registries[0].schemes`)
+ * @returns {Object[]} list of results with properties `path`, `message`, and `level` ("error" or "warning")
+ */
+export function validateSchema(value, schema = {}, path = "") {
+  const results = []
+  const add = (message, level = "error", subpath = path) => results.push({ path: subpath, message, level })
+  const types = [].concat(schema.type || [])
+  if (types.length && !types.some(type => matchesType(value, type))) {
+    add(`must be of type ${types.join(" or ")}`)
+  } else {
+    validateValue(value, schema, path, results, add)
+  }
+  return schema.level ? results.map(result => ({ ...result, level: schema.level })) : results
+}
+
+/**
+ * Validates a value that matches the schema's type against the remaining keywords.
+ *
+ * @private
+ */
+function validateValue(value, schema, path, results, add) {
+  if (schema.enum && !schema.enum.includes(value)) {
+    add(`must be one of ${schema.enum.map(v => JSON.stringify(v)).join(", ")}`)
+  }
+  if (typeof value === "number" && schema.minimum !== undefined && value < schema.minimum) {
+    add(`must be at least ${schema.minimum}`)
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      add(`must have at least ${schema.minItems} item${schema.minItems == 1 ? "" : "s"}`)
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        results.push(...validateSchema(item, schema.items, `${path}[${index}]`))
+      })
+    }
+  } else if (matchesType(value, "object")) {
+    const prefix = path ? `${path}.` : ""
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        add("is required", "error", prefix + key)
+      }
+    }
+    for (const key of Object.keys(value)) {
+      if (schema.properties?.[key]) {
+        results.push(...validateSchema(value[key], schema.properties[key], prefix + key))
+      } else if (schema.additionalProperties === false) {
+        add("is not a known property", "warning", prefix + key)
+      }
+    }
+  }
+}
+
+/**
+ * Returns a new object schema that extends `schema` by additional properties and required properties.
+ *
+ * @param {Object} schema object schema to extend
+ * @param {Object} extension
+ * @param {Object} [extension.properties] additional (or overridden) properties
+ * @param {string[]} [extension.required] additional required properties
+ * @returns {Object} extended schema
+ */
+export function extendSchema(schema, { properties = {}, required = [] } = {}) {
+  return {
+    ...schema,
+    properties: { ...schema.properties, ...properties },
+    required: [...new Set([...(schema.required || []), ...required])],
+  }
+}
@@ -0,0 +1,377 @@
+/**
+ * Serialization formats for mappings
+ *
+ * Supported formats:
+ * - "ndjson": JSKOS mappings, one per line
+ * - "csv" and "tsv": column layout of Cocoda's mapping export (scheme notation, concept notations and labels, mapping type, creator)
+ * - "sssom": SSSOM/TSV with YAML metadata header (https://mapping-commons.github.io/sssom/)
+ *
+ * Parsed mappings can be incomplete: CSV/TSV only contains scheme and concept notations, SSSOM only contains concept URIs (and scheme URIs if `subject_source`/`object_source` are given). Use `cdk.importMappings` to resolve them against known schemes.
+ */
+
+import jskos from "jskos-tools"
+import * as errors from "../errors/index.js"
+
+export const mappingFormats = ["ndjson", "csv", "tsv", "sssom"]
+
+// Prefixes that are always available in SSSOM files
+const defaultPrefixes = {
+  skos: "http://www.w3.org/2004/02/skos/core#",
+  semapv: "https://w3id.org/semapv/vocab/",
+  sssom: "https://w3id.org/sssom/",
+}
+const noTermFound = "sssom:NoTermFound"
+
+const checkFormat = format => {
+  if (!mappingFormats.includes(format)) {
+    throw new errors.InvalidOrMissingParameterError({ parameter: "format", message: `Unsupported format: ${format}` })
+  }
+}
+
+const mappingTypeFor = value => (value && jskos.mappingTypes.find(type => type.uri == value || type.SHORT == value)) || jskos.defaultMappingType
+
+/**
+ * Parses delimiter-separated values with optional double quotes (RFC 4180). Empty lines are skipped.
+ */
+function parseDelimited(data, delimiter) {
+  const rows = []
+  let row = [], field = "", quoted = false
+  for (let i = 0; i < data.length; i += 1) {
+    const char = data[i]
+    if (quoted) {
+      if (char == "\"" && data[i + 1] == "\"") {
+        field += "\""
+        i += 1
+      } else if (char == "\"") {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char == "\"") {
+      quoted = true
+    } else if (char == delimiter) {
+      row.push(field)
+      field = ""
+    } else if (char == "\n" || char == "\r") {
+      if (char == "\r" && data[i + 1] == "\n") {
+        i += 1
+      }
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ""
+    } else {
+      field += char
+    }
+  }
+  row.push(field)
+  rows.push(row)
+  return rows.filter(row => row.some(field => field.trim()))
+}
+
+/**
+ * Parses the YAML metadata header of SSSOM files. Only supports what is needed there: scalar values, maps (like `curie_map`), and lists, with one level of nesting.
+ */
+function parseMetadata(lines) {
+  const unquote = value => value.trim().replace(/^(["'])(.*)\1$/, "$2")
+  const metadata = {}
+  let current = null
+  // Remove common indentation (e.g. "# curie_map:")
+  const indentation = Math.min(...lines.filter(line => line.trim()).map(line => line.match(/^\s*/)[0].length))
+  lines = lines.map(line => line.slice(Math.min(indentation, line.length)))
+  for (const line of lines) {
+    if (!line.trim() || line.trim().startsWith("#")) {
+      continue
+    }
+    if (!/^\s/.test(line)) {
+      const [, key, value] = line.match(/^([^:]+):(.*)$/) || []
+      if (key) {
+        current = key.trim()
+        metadata[current] = value.trim() ? unquote(value) : null
+      }
+    } else if (current) {
+      const item = line.trim()
+      if (item.startsWith("-")) {
+        metadata[current] = [].concat(metadata[current] || [], unquote(item.slice(1)))
+      } else {
+        const [, key, value] = item.match(/^([^:]+):(.*)$/) || []
+        if (key) {
+          metadata[current] = { ...(metadata[current] || {}), [key.trim()]: unquote(value) }
+        }
+      }
+    }
+  }
+  return metadata
+}
+
+function parseNdjson(data) {
+  return data.split(/\r?\n/).map((line, index) => {
+    if (!line.trim()) {
+      return null
+    }
+    try {
+      return JSON.parse(line)
+    } catch (error) {
+      throw new errors.InvalidOrMissingParameterError({ parameter: "data", message: `Invalid JSON in line ${index + 1}`, relatedError: error })
+    }
+  }).filter(Boolean)
+}
+
+function parseCsv(data, { delimiter, language }) {
+  const [header, ...rows] = parseDelimited(data, delimiter)
+  if (!header) {
+    return []
+  }
+  const columns = header.map(column => column.trim())
+  return rows.map(row => {
+    const value = column => (row[columns.indexOf(column)] || "").trim()
+    const mapping = {}
+    for (const side of ["from", "to"]) {
+      if (value(`${side}Scheme`)) {
+        mapping[`${side}Scheme`] = { notation: [value(`${side}Scheme`)] }
+      }
+      const concepts = []
+      for (let i = 1; columns.includes(`${side}Notation${i > 1 ? i : ""}`); i += 1) {
+        const suffix = i > 1 ? i : ""
+        if (!value(`${side}Notation${suffix}`)) {
+          continue
+        }
+        const concept = { notation: [value(`${side}Notation${suffix}`)] }
+        if (value(`${side}Label${suffix}`)) {
+          concept.prefLabel = { [language]: value(`${side}Label${suffix}`) }
+        }
+        concepts.push(concept)
+      }
+      mapping[side] = { memberSet: concepts }
+    }
+    mapping.type = [mappingTypeFor(value("type")).uri]
+    if (value("creator")) {
+      mapping.creator = [{ prefLabel: { [language]: value("creator") } }]
+    }
+    return mapping
+  })
+}
+
+function parseSssom(data, { language }) {
+  const lines = data.split(/\r?\n/)
+  const headerLength = lines.findIndex(line => !line.startsWith("#"))
+  const metadata = parseMetadata(lines.slice(0, headerLength == -1 ? lines.length : headerLength).map(line => line.replace(/^#/, "")))
+  const prefixes = { ...defaultPrefixes, ...(metadata.curie_map || {}) }
+  const expand = curie => {
+    const [, prefix, local] = (curie || "").match(/^([A-Za-z_][\w.-]*):(.*)$/) || []
+    return prefix && prefixes[prefix] != null ? prefixes[prefix] + local : curie
+  }
+  const [header, ...rows] = lines.slice(headerLength == -1 ? lines.length : headerLength).filter(line => line.trim()).map(line => line.split("\t"))
+  if (!header) {
+    return []
+  }
+  const columns = header.map(column => column.trim())
+  for (const column of ["subject_id", "predicate_id", "object_id"]) {
+    if (!columns.includes(column)) {
+      throw new errors.InvalidOrMissingParameterError({ parameter: "data", message: `Missing SSSOM column ${column}` })
+    }
+  }
+  return rows.map(row => {
+    const value = column => (row[columns.indexOf(column)] || "").trim() || (typeof metadata[column] === "string" ? metadata[column] : "")
+    const concept = (id, label) => {
+      const concept = { uri: expand(id) }
+      if (label) {
+        concept.prefLabel = { [language]: label }
+      }
+      return concept
+    }
+    const mapping = {
+      from: { memberSet: [concept(value("subject_id"), value("subject_label"))] },
+      to: { memberSet: value("object_id") && value("object_id") != noTermFound ? [concept(value("object_id"), value("object_label"))] : [] },
+      type: [mappingTypeFor(expand(value("predicate_id"))).uri],
+    }
+    if (value("subject_source")) {
+      mapping.fromScheme = { uri: expand(value("subject_source")) }
+    }
+    if (value("object_source")) {
+      mapping.toScheme = { uri: expand(value("object_source")) }
+    }
+    const authorIds = value("author_id").split("|").filter(Boolean), authorLabels = value("author_label").split("|").filter(Boolean)
+    if (authorIds.length || authorLabels.length) {
+      mapping.creator = [...Array(Math.max(authorIds.length, authorLabels.length)).keys()].map(i => {
+        const creator = {}
+        if (authorIds[i]) {
+          creator.uri = expand(authorIds[i])
+        }
+        if (authorLabels[i]) {
+          creator.prefLabel = { [language]: authorLabels[i] }
+        }
+        return creator
+      })
+    }
+    if (value("mapping_date")) {
+      mapping.created = value("mapping_date")
+    }
+    if (value("comment")) {
+      mapping.note = { [language]: [value("comment")] }
+    }
+    return mapping
+  })
+}
+
+function serializeSssom(mappings, { language, schemes = [], prefixes = {}, metadata = {} }) {
+  // Derive prefixes from schemes (lowercased notation => namespace)
+  const allPrefixes = { ...defaultPrefixes }
+  for (const scheme of schemes) {
+    if (scheme.namespace && scheme.notation?.[0]) {
+      allPrefixes[scheme.notation[0].toLowerCase()] = scheme.namespace
+    }
+  }
+  Object.assign(allPrefixes, prefixes)
+  const usedPrefixes = {}
+  const compact = uri => {
+    if (!uri) {
+      return ""
+    }
+    let result = uri, length = 0
+    for (const [prefix, namespace] of Object.entries(allPrefixes)) {
+      if (namespace.length > length && uri.startsWith(namespace) && uri.length > namespace.length) {
+        result = `${prefix}:${uri.slice(namespace.length)}`
+        length = namespace.length
+      }
+    }
+    if (length) {
+      const prefix = result.slice(0, result.indexOf(":"))
+      usedPrefixes[prefix] = allPrefixes[prefix]
+    }
+    return result
+  }
+  const clean = value => (value || "").replace(/[\t\r\n]+/g, " ")
+  const label = item => jskos.prefLabel(item, { language, fallbackToUri: false })
+  const columns = ["subject_id", "subject_label", "predicate_id", "object_id", "object_label", "mapping_justification", "subject_source", "object_source", "author_id", "author_label", "mapping_date"]
+  const rows = []
+  for (const mapping of mappings) {
+    const creators = mapping.creator || []
+    const targets = jskos.conceptsOfMapping(mapping, "to")
+    // SSSOM only supports 1-to-1 mappings, so there is one row per combination of source and target concept
+    for (const subject of jskos.conceptsOfMapping(mapping, "from")) {
+      for (const object of targets.length ? targets : [null]) {
+        rows.push([
+          compact(subject.uri),
+          label(subject),
+          compact(mappingTypeFor(mapping.type?.[0]).uri),
+          object ? compact(object.uri) : noTermFound,
+          object ? label(object) : "",
+          "semapv:ManualMappingCuration",
+          compact(mapping.fromScheme?.uri),
+          compact(mapping.toScheme?.uri),
+          creators.map(creator => compact(creator.uri)).filter(Boolean).join("|"),
+          creators.map(creator => label(creator)).filter(Boolean).join("|"),
+          (mapping.created || "").slice(0, 10),
+        ].map(clean))
+      }
+    }
+  }
+  usedPrefixes.semapv = allPrefixes.semapv
+  let result = "#curie_map:\n"
+  for (const [prefix, namespace] of Object.entries(usedPrefixes).sort()) {
+    result += `#  ${prefix}: "${namespace}"\n`
+  }
+  for (const [key, value] of Object.entries(metadata)) {
+    result += `#${key}: "${value}"\n`
+  }
+  return result + [columns].concat(rows).map(row => row.join("\t") + "\n").join("")
+}
+
+/**
+ * Returns a function that completes a parsed mapping with the help of known schemes: Schemes given by notation are replaced by the matching scheme, missing schemes are determined from concept URIs, and missing concept URIs and notations are derived via the scheme's `uriPattern` or `namespace`. The function throws an error if a mapping can't be completed.
+ *
+ * @param {Object[]} schemes array of JSKOS schemes
+ * @returns {Function} function that takes a mapping and returns the completed mapping
+ */
+export function mappingResolver(schemes = []) {
+  schemes = schemes.map(scheme => ({ scheme, conceptScheme: new jskos.ConceptScheme(scheme) }))
+  const findScheme = (reference, concepts) => {
+    if (reference) {
+      const notation = reference.notation?.[0]?.toLowerCase()
+      return schemes.find(({ scheme }) => (reference.uri && jskos.compare(scheme, reference)) || (notation && (scheme.notation || []).find(n => n.toLowerCase() == notation)))
+        || (reference.uri ? { scheme: reference } : null)
+    }
+    // Determine scheme from concept URIs
+    return concepts.length && schemes.find(({ conceptScheme }) => concepts.every(concept => concept.uri && conceptScheme.notationFromUri(concept.uri) !== undefined))
+  }
+  return mapping => {
+    for (const side of ["from", "to"]) {
+      const concepts = jskos.conceptsOfMapping(mapping, side)
+      const found = findScheme(mapping[`${side}Scheme`], concepts)
+      if (!found) {
+        if (concepts.length || mapping[`${side}Scheme`]) {
+          throw new errors.CDKError({ message: `Could not determine ${side}Scheme of mapping.` })
+        }
+        continue
+      }
+      mapping[`${side}Scheme`] = found.scheme.notation ? { uri: found.scheme.uri, notation: found.scheme.notation } : { uri: found.scheme.uri }
+      for (const concept of concepts) {
+        if (!concept.uri) {
+          const uri = found.conceptScheme?.conceptFromNotation(concept.notation?.[0])?.uri
+          if (!uri) {
+            throw new errors.CDKError({ message: `Could not determine URI of concept ${concept.notation?.[0]} in ${side}Scheme ${found.scheme.uri}.` })
+          }
+          concept.uri = uri
+        }
+        if (!concept.notation && found.conceptScheme) {
+          const notation = found.conceptScheme.notationFromUri(concept.uri)
+          if (notation !== undefined) {
+            concept.notation = [notation]
+          }
+        }
+      }
+    }
+    return mapping
+  }
+}
+
+/**
+ * Parses mappings from a string.
+ *
+ * @param {string} data serialized mappings
+ * @param {Object} options
+ * @param {string} options.format one of "ndjson", "csv", "tsv", "sssom"
+ * @param {string} [options.language="en"] language of labels (CSV/TSV and SSSOM)
+ * @returns {Object[]} array of (possibly incomplete) JSKOS mappings
+ */
+export function parseMappings(data, { format, language = "en" } = {}) {
+  checkFormat(format)
+  if (typeof data !== "string") {
+    throw new errors.InvalidOrMissingParameterError({ parameter: "data" })
+  }
+  switch (format) {
+    case "ndjson":
+      return parseNdjson(data)
+    case "csv":
+    case "tsv":
+      return parseCsv(data, { delimiter: format == "csv" ? "," : "\t", language })
+    case "sssom":
+      return parseSssom(data, { language })
+  }
+}
+
+/**
+ * Serializes mappings into a string.
+ *
+ * @param {Object[]} mappings array of JSKOS mappings
+ * @param {Object} options
+ * @param {string} options.format one of "ndjson", "csv", "tsv", "sssom"
+ * @param {string} [options.language="en"] language of labels (CSV/TSV and SSSOM)
+ * @param {Object[]} [options.schemes] schemes with `namespace` and `notation` used to derive CURIE prefixes (SSSOM)
+ * @param {Object} [options.prefixes] additional CURIE prefixes (SSSOM)
+ * @param {Object} [options.metadata] additional mapping set metadata like `mapping_set_id` and `license` (SSSOM)
+ * @returns {string} serialized mappings
+ */
+export function serializeMappings(mappings, { format, language = "en", ...options } = {}) {
+  checkFormat(format)
+  switch (format) {
+    case "ndjson":
+      return mappings.map(mapping => JSON.stringify(jskos.deepCopy(mapping)) + "\n").join("")
+    case "csv":
+    case "tsv":
+      return jskos.mappingCSV({ delimiter: format == "csv" ? "," : "\t", language, schemes: true, labels: true, creator: true }).fromMappings(mappings)
+    case "sssom":
+      return serializeSssom(mappings, { language, ...options })
+  }
+}
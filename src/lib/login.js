@@ -0,0 +1,76 @@
+/**
+ * Login Server integration
+ *
+ * Connects a cocoda-sdk instance with a client for [Login Server](https://github.com/gbv/login-server) like [gbv-login-client](https://github.com/gbv/login-client). The client is only used via `addEventListener` (and `removeEventListener` if available), so gbv-login-client is not a dependency of cocoda-sdk.
+ *
+ * Handled events (by `event.type`):
+ * - "about": the login server's public key (`event.publicKey`) is used to determine the services that use this login server (see `cdk.setAuth`)
+ * - "token": the token (`event.token`) is set for these services
+ * - "login", "update": the current user (`event.user`) is updated
+ * - "logout": the current user and the token are removed
+ */
+
+/**
+ * Connects a cocoda-sdk instance with a login client.
+ *
+ * @param {Object} cdk cocoda-sdk instance
+ * @param {Object} client login client (e.g. an instance of gbv-login-client)
+ * @returns {Object} connection with properties `client`, `user`, `key`, `token`, and a method `disconnect` to stop listening to events
+ */
+export function connectLogin(cdk, client) {
+  let connected = true
+  const connection = {
+    client,
+    // Take over state if the client is already connected
+    user: client.user || null,
+    key: client.about?.publicKey || null,
+    token: client.token || null,
+    disconnect() {
+      connected = false
+      client.removeEventListener?.(null, listener)
+    },
+  }
+
+  const setUser = user => {
+    const previousUser = connection.user
+    connection.user = user
+    if (previousUser !== user) {
+      cdk._emit("userChanged", { user, previousUser })
+    }
+  }
+  const setAuth = () => {
+    if (connection.key) {
+      cdk.setAuth({ key: connection.key, bearerToken: connection.token })
+    }
+  }
+
+  const listener = event => {
+    if (!connected) {
+      return
+    }
+    switch (event?.type) {
+      case "about":
+        connection.key = event.publicKey || null
+        setAuth()
+        break
+      case "token":
+        connection.token = event.token || null
+        setAuth()
+        break
+      case "login":
+      case "update":
+        setUser(event.user || null)
+        break
+      case "logout":
+        connection.token = null
+        setAuth()
+        setUser(null)
+        break
+    }
+  }
+  // Listen to all events
+  client.addEventListener(null, listener)
+  setAuth()
+
+  return connection
+}
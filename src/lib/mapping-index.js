@@ -0,0 +1,141 @@
+/**
+ * In-memory index of mappings
+ *
+ * Used by LocalMappingsProvider to avoid scanning all mappings for each query. The index only narrows down the set of candidates for a query (i.e. it might return more mappings than actually match); exact filtering still has to be done on the result.
+ */
+
+import jskos from "jskos-tools"
+
+// Same normalization as in jskos.compare
+const normalizeUri = uri => uri.replace("https://", "http://")
+
+const fields = ["from", "to", "fromScheme", "toScheme", "creator", "partOf"]
+
+/**
+ * Returns the index keys of a mapping for a certain field.
+ *
+ * - from/to: concept URIs and lowercased notations (prefixed with "notation:")
+ * - fromScheme/toScheme/partOf: all URIs (including identifier)
+ * - creator: URIs and preferred labels (in all languages)
+ */
+function keysForField(mapping, field) {
+  switch (field) {
+    case "from":
+    case "to":
+      return jskos.conceptsOfMapping(mapping, field).flatMap(concept => [
+        concept.uri,
+        concept.notation && concept.notation[0] != null ? `notation:${String(concept.notation[0]).toLowerCase()}` : null,
+      ])
+    case "fromScheme":
+    case "toScheme":
+      return jskos.getAllUris(mapping[field]).map(normalizeUri)
+    case "partOf":
+      return (mapping.partOf || []).flatMap(partOf => jskos.getAllUris(partOf).map(normalizeUri))
+    case "creator":
+      return (mapping.creator || []).flatMap(creator => [creator.uri, jskos.prefLabel(creator)].concat(Object.values(creator.prefLabel || {})))
+  }
+  return []
+}
+
+export default class MappingIndex {
+
+  /**
+   * @param {Object[]} [mappings] initial mappings (need to have a `uri`)
+   */
+  constructor(mappings = []) {
+    this._mappings = new Map()
+    this._fields = {}
+    for (const field of fields) {
+      this._fields[field] = new Map()
+    }
+    for (const mapping of mappings) {
+      this.add(mapping)
+    }
+  }
+
+  get size() {
+    return this._mappings.size
+  }
+
+  /**
+   * Returns all mappings in insertion order.
+   */
+  all() {
+    return [...this._mappings.values()]
+  }
+
+  /**
+   * Returns the mapping with a certain URI (or undefined).
+   */
+  get(uri) {
+    return this._mappings.get(uri)
+  }
+
+  /**
+   * Adds a mapping to the index, replacing an existing mapping with the same URI.
+   */
+  add(mapping) {
+    this.remove(mapping.uri)
+    this._mappings.set(mapping.uri, mapping)
+    for (const field of fields) {
+      for (const key of new Set(keysForField(mapping, field))) {
+        if (!key) {
+          continue
+        }
+        const map = this._fields[field]
+        if (!map.has(key)) {
+          map.set(key, new Set())
+        }
+        map.get(key).add(mapping.uri)
+      }
+    }
+  }
+
+  /**
+   * Removes the mapping with a certain URI from the index.
+   */
+  remove(uri) {
+    const mapping = this._mappings.get(uri)
+    if (!mapping) {
+      return
+    }
+    this._mappings.delete(uri)
+    for (const field of fields) {
+      const map = this._fields[field]
+      for (const key of new Set(keysForField(mapping, field))) {
+        const uris = key && map.get(key)
+        if (uris) {
+          uris.delete(uri)
+          if (!uris.size) {
+            map.delete(key)
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Returns the set of mapping URIs that have one of the values in one of the fields.
+   *
+   * @param {string[]} fields fields to look up, e.g. ["from", "to"]
+   * @param {Object|string} value concept URI or notation (from/to), scheme/concordance object or URI (fromScheme/toScheme/partOf), or creator URI or label (creator)
+   * @returns {Set} set of mapping URIs
+   */
+  lookup(fields, value) {
+    let keys
+    if (typeof value === "string") {
+      keys = [value, normalizeUri(value), `notation:${value.toLowerCase()}`]
+    } else {
+      keys = jskos.getAllUris(value).map(normalizeUri)
+    }
+    const result = new Set()
+    for (const field of fields) {
+      for (const key of keys) {
+        for (const uri of this._fields[field].get(key) || []) {
+          result.add(uri)
+        }
+      }
+    }
+    return result
+  }
+}
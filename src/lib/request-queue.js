@@ -0,0 +1,107 @@
+/**
+ * Request queue
+ *
+ * Used by BaseProvider to limit the number of concurrent HTTP requests of a service (`maxConcurrentRequests`) and the rate at which requests are started (`requestsPerSecond`). Requests with higher priority are started first; requests with the same priority are started in order.
+ */
+
+export default class RequestQueue {
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxConcurrentRequests=Infinity] maximum number of requests in progress at the same time
+   * @param {number} [options.requestsPerSecond=Infinity] maximum number of requests started per second
+   */
+  constructor(options) {
+    this._waiting = []
+    this._timer = null
+    this._lastStart = -Infinity
+    this.running = 0
+    this.configure(options)
+  }
+
+  /**
+   * Changes the limits of the queue (affects waiting requests as well).
+   *
+   * @param {Object} [options] see constructor
+   */
+  configure({ maxConcurrentRequests, requestsPerSecond } = {}) {
+    this.maxConcurrentRequests = maxConcurrentRequests > 0 ? maxConcurrentRequests : Infinity
+    this.requestsPerSecond = requestsPerSecond > 0 ? requestsPerSecond : Infinity
+    clearTimeout(this._timer)
+    this._timer = null
+    this._next()
+  }
+
+  /**
+   * Number of requests waiting for a slot.
+   *
+   * @returns {number}
+   */
+  get pending() {
+    return this._waiting.length
+  }
+
+  /**
+   * Waits for a slot to start a request. Each successful call has to be followed by a call to `release` after the request is done.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.priority=0] priority of the request (higher values are started first)
+   * @param {AbortSignal} [options.signal] signal to stop waiting (the promise is then rejected with the signal's reason)
+   * @returns {Promise} promise that resolves when the request can be started
+   */
+  acquire({ priority = 0, signal } = {}) {
+    return new Promise((resolve, reject) => {
+      if (signal?.aborted) {
+        reject(signal.reason)
+        return
+      }
+      const entry = { priority, resolve, signal }
+      // Insert after all entries with the same or higher priority
+      const index = this._waiting.findIndex(other => other.priority < priority)
+      this._waiting.splice(index === -1 ? this._waiting.length : index, 0, entry)
+      if (signal) {
+        entry.onAbort = () => {
+          this._waiting.splice(this._waiting.indexOf(entry), 1)
+          reject(signal.reason)
+        }
+        signal.addEventListener("abort", entry.onAbort, { once: true })
+      }
+      this._next()
+    })
+  }
+
+  /**
+   * Releases a slot acquired with `acquire`.
+   */
+  release() {
+    this.running = Math.max(0, this.running - 1)
+    this._next()
+  }
+
+  /**
+   * Starts waiting requests as far as the limits allow.
+   *
+   * @private
+   */
+  _next() {
+    if (this._timer) {
+      return
+    }
+    while (this._waiting.length && this.running < this.maxConcurrentRequests) {
+      const wait = this._lastStart + 1000 / this.requestsPerSecond - Date.now()
+      if (wait > 0) {
+        this._timer = setTimeout(() => {
+          this._timer = null
+          this._next()
+        }, wait)
+        return
+      }
+      const entry = this._waiting.shift()
+      entry.signal?.removeEventListener("abort", entry.onAbort)
+      this.running += 1
+      this._lastStart = Date.now()
+      entry.resolve()
+    }
+  }
+
+}
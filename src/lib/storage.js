@@ -0,0 +1,276 @@
+/**
+ * Storage adapters
+ *
+ * A storage adapter is a key-value store that implements the subset of the localforage API used by cocoda-sdk: `getItem(key)`, `setItem(key, value)`, `removeItem(key)`, `keys()`, and `clear()` (all returning Promises). Any localforage instance can therefore be used as an adapter as well.
+ *
+ * Adapters are used by LocalMappingsProvider (option `storage` on the service object) and by the response cache (option `store` in `setCacheConfig`).
+ */
+
+import localforage from "localforage"
+import * as errors from "../errors/index.js"
+
+/**
+ * In-memory storage adapter with optional least-recently-used eviction.
+ *
+ * Values are copied on read and write (like with localforage), so modifying a returned value does not change the stored value.
+ */
+export class MemoryStorage {
+
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxEntries=0] maximum number of entries before the least recently used ones are removed (0 = unlimited)
+   */
+  constructor({ maxEntries = 0 } = {}) {
+    this.maxEntries = maxEntries
+    this._map = new Map()
+  }
+
+  async getItem(key) {
+    if (!this._map.has(key)) {
+      return null
+    }
+    // Re-insert to mark as recently used
+    const value = this._map.get(key)
+    this._map.delete(key)
+    this._map.set(key, value)
+    return structuredClone(value)
+  }
+
+  async setItem(key, value) {
+    this._map.delete(key)
+    this._map.set(key, structuredClone(value))
+    while (this.maxEntries > 0 && this._map.size > this.maxEntries) {
+      this._map.delete(this._map.keys().next().value)
+    }
+    return value
+  }
+
+  async removeItem(key) {
+    this._map.delete(key)
+  }
+
+  async keys() {
+    return [...this._map.keys()]
+  }
+
+  async clear() {
+    this._map.clear()
+  }
+}
+
+/**
+ * Storage adapter backed by localforage (i.e. IndexedDB or localStorage in the browser).
+ */
+export class LocalforageStorage {
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.name] name of the localforage database (default: localforage's default instance)
+   * @param {string} [options.storeName] name of the localforage store
+   * @param {number} [options.maxEntries=0] maximum number of entries; when exceeded, the least recently used entries are removed (0 = unlimited)
+   * @param {string} [options.prefix=""] only keys with this prefix are counted and removed for `maxEntries` (used by the response cache so that registries sharing a store don't remove each other's entries)
+   */
+  constructor({ name, storeName, maxEntries = 0, prefix = "" } = {}) {
+    this.maxEntries = maxEntries
+    this.prefix = prefix
+    this._store = name ? localforage.createInstance({ name, storeName }) : localforage
+    // Keys in order of last use (only with `maxEntries`), stored under `_orderKey` so that it survives page reloads
+    this._order = null
+    this._orderKey = `\u0000lru|${prefix}`
+  }
+
+  /**
+   * Loads the order of keys from the store (only once).
+   *
+   * @private
+   */
+  async _loadOrder() {
+    this._order ||= this._store.getItem(this._orderKey).then(keys => new Set(keys || []))
+    return this._order
+  }
+
+  /**
+   * Marks a key as most recently used.
+   *
+   * @private
+   */
+  async _touch(key) {
+    const order = await this._loadOrder()
+    order.delete(key)
+    order.add(key)
+    return order
+  }
+
+  /**
+   * Whether a key is subject to `maxEntries`.
+   *
+   * @private
+   */
+  _limited(key) {
+    return this.maxEntries > 0 && key !== this._orderKey && key.startsWith(this.prefix)
+  }
+
+  async getItem(key) {
+    const value = await this._store.getItem(key)
+    if (value !== null && this._limited(key)) {
+      await this._touch(key)
+    }
+    return value
+  }
+
+  async setItem(key, value) {
+    await this._store.setItem(key, value)
+    if (this._limited(key)) {
+      const order = await this._touch(key)
+      // Remove least recently used entries (the entry that was just written is always the most recent one)
+      for (const oldKey of order) {
+        if (order.size <= this.maxEntries) {
+          break
+        }
+        order.delete(oldKey)
+        await this._store.removeItem(oldKey)
+      }
+      await this._store.setItem(this._orderKey, [...order])
+    }
+    return value
+  }
+
+  async removeItem(key) {
+    await this._store.removeItem(key)
+    if (this._limited(key)) {
+      const order = await this._loadOrder()
+      if (order.delete(key)) {
+        await this._store.setItem(this._orderKey, [...order])
+      }
+    }
+  }
+
+  keys() {
+    return this._store.keys()
+  }
+
+  async clear() {
+    await this._store.clear()
+    this._order = null
+  }
+}
+
+/**
+ * File-based storage adapter for Node.js (not available in the browser).
+ *
+ * Each key is stored as a separate file in a directory. With format "ndjson", arrays are written with one element per line, which keeps large sets of mappings diff-friendly and allows processing with line-based tools.
+ */
+export class FileStorage {
+
+  /**
+   * @param {Object} options
+   * @param {string} options.path directory in which files are stored (will be created if necessary)
+   * @param {string} [options.format="json"] file format, either "json" or "ndjson"
+   */
+  constructor({ path, format = "json" } = {}) {
+    if (!path) {
+      throw new errors.InvalidOrMissingParameterError({ parameter: "path" })
+    }
+    if (!["json", "ndjson"].includes(format)) {
+      throw new errors.InvalidOrMissingParameterError({ parameter: "format", message: `Unsupported format: ${format}` })
+    }
+    this.path = path
+    this.format = format
+  }
+
+  /**
+   * Loads Node.js modules only when needed so that the module can be used in the browser as well.
+   *
+   * @private
+   */
+  async _fs() {
+    this._fsModule ||= await import("node:fs/promises")
+    return this._fsModule
+  }
+
+  _file(key) {
+    return `${this.path.replace(/\/+$/, "")}/${encodeURIComponent(key)}.${this.format}`
+  }
+
+  async getItem(key) {
+    let data
+    try {
+      data = await (await this._fs()).readFile(this._file(key), "utf8")
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null
+      }
+      throw error
+    }
+    if (this.format === "ndjson") {
+      return data.split("\n").filter(line => line.trim()).map(line => JSON.parse(line))
+    }
+    return JSON.parse(data)
+  }
+
+  async setItem(key, value) {
+    let data
+    if (this.format === "ndjson") {
+      data = [].concat(value).map(item => JSON.stringify(item) + "\n").join("")
+    } else {
+      data = JSON.stringify(value, null, 2)
+    }
+    const fs = await this._fs()
+    await fs.mkdir(this.path, { recursive: true })
+    // Write to temporary file first so that the data is not corrupted if the process is interrupted
+    const file = this._file(key), tempFile = `${file}.tmp`
+    await fs.writeFile(tempFile, data)
+    await fs.rename(tempFile, file)
+    return value
+  }
+
+  async removeItem(key) {
+    await (await this._fs()).rm(this._file(key), { force: true })
+  }
+
+  async keys() {
+    let files
+    try {
+      files = await (await this._fs()).readdir(this.path)
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return []
+      }
+      throw error
+    }
+    const suffix = `.${this.format}`
+    return files.filter(file => file.endsWith(suffix)).map(file => decodeURIComponent(file.slice(0, -suffix.length)))
+  }
+
+  async clear() {
+    for (const key of await this.keys()) {
+      await this.removeItem(key)
+    }
+  }
+}
+
+/**
+ * Returns a storage adapter.
+ *
+ * @param {string|Object} [storage] "memory", "localforage", `{ type: "file", path, format }` (Node only), or a storage adapter object (returned as is); defaults to localforage in the browser and memory in Node
+ * @param {Object} [options] additional options for newly created adapters (e.g. `maxEntries`)
+ * @returns {Object} storage adapter
+ */
+export function createStorage(storage, options = {}) {
+  if (storage && typeof storage.getItem === "function") {
+    return storage
+  }
+  if (!storage) {
+    storage = typeof window !== "undefined" ? "localforage" : "memory"
+  }
+  const { type, ...storageOptions } = typeof storage === "string" ? { type: storage } : storage
+  switch (type) {
+    case "memory":
+      return new MemoryStorage({ ...options, ...storageOptions })
+    case "localforage":
+      return new LocalforageStorage({ ...options, ...storageOptions })
+    case "file":
+      return new FileStorage({ ...options, ...storageOptions })
+  }
+  throw new errors.InvalidOrMissingParameterError({ parameter: "storage", message: `Unsupported storage type: ${type}` })
+}
@@ -0,0 +1,236 @@
+/**
+ * HTTP transports
+ *
+ * Providers make requests via `this.axios`, which is an HTTP client created by `createHttpClient`. Regardless of the transport, the client has the same interface as an axios instance (as far as it is used in cocoda-sdk):
+ * - calling the client with a request config (`method`, `url`, `params`, `data`, `headers`, `timeout`, `cancelToken`, `signal`) returns a Promise for the response
+ * - `get`, `delete`, `head`, `options` (with `url` and `config`) and `post`, `put`, `patch` (with `url`, `data`, and `config`) shortcuts
+ * - `interceptors.request.use(onFulfilled, onRejected)` and `interceptors.response.use(onFulfilled, onRejected)`
+ *
+ * Errors have the same shape as axios errors: `error.response` (with `status`, `data`, and `headers`) for HTTP errors, `error.request` for requests without response, and `error.config` for the request config. This way, BaseProvider's interceptors (language parameter, authentication, retry, result decoration) work the same for all transports.
+ *
+ * Available transports are "axios" (default) and "fetch" (native `fetch`, available in browsers and Node.js 18+).
+ *
+ * axios is only loaded (via dynamic import of axios-transport.js) when the first request is made with the "axios" transport, so that bundlers can put it into a separate chunk. The browser build doesn't include axios at all (see build.js); there, the "axios" transport uses a global `axios` if it was loaded separately and native `fetch` otherwise.
+ */
+
+import * as errors from "../errors/index.js"
+import { CanceledError } from "./cancel.js"
+
+export const transports = ["axios", "fetch"]
+
+/**
+ * Creates an error object with the same shape as axios errors.
+ *
+ * @private
+ */
+function createError(message, { code, config, request, response } = {}) {
+  const error = new Error(message)
+  error.code = code
+  error.config = config
+  error.request = request
+  error.response = response
+  error.isAxiosError = true
+  return error
+}
+
+/**
+ * Builds the full URL for a request config including `params`.
+ *
+ * @private
+ */
+function buildUrl(url, params = {}) {
+  const searchParams = new URLSearchParams()
+  for (const [key, value] of Object.entries(params)) {
+    for (const item of [].concat(value)) {
+      if (item !== undefined && item !== null) {
+        searchParams.append(key, item)
+      }
+    }
+  }
+  const query = searchParams.toString()
+  if (!query) {
+    return url
+  }
+  return url + (url.includes("?") ? "&" : "?") + query
+}
+
+/**
+ * Performs a request with native `fetch` and returns an axios-like response object.
+ *
+ * @private
+ */
+async function fetchRequest(config) {
+  if (typeof fetch !== "function") {
+    throw new errors.CDKError({ message: "The fetch transport requires a global fetch function." })
+  }
+  const method = (config.method || "get").toLowerCase()
+  config.method = method
+  const headers = { Accept: "application/json, text/plain, */*", ...(config.headers || {}) }
+  let body
+  if (config.data !== undefined && config.data !== null && !["get", "head"].includes(method)) {
+    if (typeof config.data === "string" || config.data instanceof URLSearchParams || (typeof FormData !== "undefined" && config.data instanceof FormData)) {
+      body = config.data
+    } else {
+      // Like axios, keep serialized data in config (the retry interceptor relies on this)
+      config.data = JSON.stringify(config.data)
+      body = config.data
+      if (!Object.keys(headers).find(header => header.toLowerCase() == "content-type")) {
+        headers["Content-Type"] = "application/json"
+      }
+    }
+  }
+  const request = { method, url: buildUrl(config.url, config.params), headers }
+
+  // Handle cancellation (cancelToken or signal) and timeout via AbortController
+  const controller = new AbortController()
+  let cancelReason = null, timedOut = false, timer
+  config.cancelToken?.throwIfRequested?.()
+  config.cancelToken?.promise?.then(reason => {
+    cancelReason = reason
+    controller.abort()
+  })
+  if (config.signal) {
+    if (config.signal.aborted) {
+      controller.abort()
+    } else {
+      config.signal.addEventListener("abort", () => controller.abort(), { once: true })
+    }
+  }
+  if (config.timeout) {
+    timer = setTimeout(() => {
+      timedOut = true
+      controller.abort()
+    }, config.timeout)
+  }
+
+  let response
+  try {
+    response = await fetch(request.url, { method: method.toUpperCase(), headers, body, signal: controller.signal })
+  } catch (error) {
+    if (cancelReason) {
+      throw cancelReason
+    }
+    if (timedOut) {
+      throw createError(`timeout of ${config.timeout}ms exceeded`, { code: "ECONNABORTED", config, request })
+    }
+    if (controller.signal.aborted) {
+      throw new CanceledError(null, config, request)
+    }
+    throw createError(error.message || "Network Error", { code: "ERR_NETWORK", config, request })
+  } finally {
+    clearTimeout(timer)
+  }
+
+  // Convert response like axios does (JSON if possible, otherwise text)
+  const responseHeaders = {}
+  response.headers.forEach((value, key) => {
+    responseHeaders[key.toLowerCase()] = value
+  })
+  let data = method == "head" ? "" : await response.text()
+  if (data) {
+    try {
+      data = JSON.parse(data)
+    } catch (error) {
+      // Keep text
+    }
+  }
+  const result = { data, status: response.status, statusText: response.statusText, headers: responseHeaders, config, request }
+  if (response.status < 200 || response.status >= 300) {
+    throw createError(`Request failed with status code ${response.status}`, { code: "ERR_BAD_RESPONSE", config, request, response: result })
+  }
+  return result
+}
+
+/**
+ * Performs a request with axios (loaded on first use).
+ *
+ * @private
+ */
+async function axiosRequest(config) {
+  const { request } = await import("./axios-transport.js")
+  if (request) {
+    return request(config)
+  }
+  // Browser build without axios
+  if (typeof globalThis.axios === "function") {
+    return globalThis.axios.request(config)
+  }
+  return fetchRequest(config)
+}
+
+/**
+ * Creates an HTTP client with an axios-compatible interface that performs requests with the given function.
+ *
+ * @private
+ */
+function createClient(request, defaults) {
+  const requestInterceptors = [], responseInterceptors = []
+  const client = (config = {}) => {
+    config = { ...defaults, ...config, headers: { ...(defaults.headers || {}), ...(config.headers || {}) } }
+    let promise = Promise.resolve(config)
+    for (const { onFulfilled, onRejected } of requestInterceptors) {
+      promise = promise.then(onFulfilled, onRejected)
+    }
+    promise = promise.then(request)
+    for (const { onFulfilled, onRejected } of responseInterceptors) {
+      promise = promise.then(onFulfilled, onRejected)
+    }
+    return promise
+  }
+  client.defaults = defaults
+  client.request = config => client(config)
+  client.interceptors = {
+    request: {
+      // Like in axios, request interceptors are run in reverse order
+      use: (onFulfilled, onRejected) => requestInterceptors.unshift({ onFulfilled, onRejected }),
+    },
+    response: {
+      use: (onFulfilled, onRejected) => responseInterceptors.push({ onFulfilled, onRejected }),
+    },
+  }
+  for (const method of ["get", "delete", "head", "options"]) {
+    client[method] = (url, config = {}) => client({ ...config, method, url })
+  }
+  for (const method of ["post", "put", "patch"]) {
+    client[method] = (url, data, config = {}) => client({ ...config, method, url, data })
+  }
+  return client
+}
+
+/**
+ * Creates an HTTP client with an axios-compatible interface that uses native `fetch`.
+ *
+ * @param {Object} [defaults] default request config (e.g. `timeout`)
+ * @returns {Function} HTTP client
+ */
+export function createFetchClient(defaults = {}) {
+  return createClient(fetchRequest, defaults)
+}
+
+/**
+ * Creates an HTTP client with an axios-compatible interface that uses axios. Request defaults (including `adapter`, e.g. set by axios-mock-adapter) are taken from `client.defaults` on each request.
+ *
+ * @param {Object} [defaults] default request config (e.g. `timeout`)
+ * @returns {Function} HTTP client
+ */
+export function createAxiosClient(defaults = {}) {
+  return createClient(axiosRequest, defaults)
+}
+
+/**
+ * Creates an HTTP client for a transport.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.transport="axios"] either "axios" or "fetch"
+ * @param {Object} [options.defaults] default request config (e.g. `timeout`)
+ * @returns {Function} HTTP client
+ */
+export function createHttpClient({ transport = "axios", ...defaults } = {}) {
+  switch (transport) {
+    case "axios":
+      return createAxiosClient(defaults)
+    case "fetch":
+      return createFetchClient(defaults)
+  }
+  throw new errors.InvalidOrMissingParameterError({ parameter: "transport", message: `Unsupported transport: ${transport} (supported: ${transports.join(", ")})` })
+}
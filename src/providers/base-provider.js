@@ -1,10 +1,69 @@
 import jskos from "jskos-tools"
-import axios from "axios"
-import { withCustomProps, listOfCapabilities, requestMethods, deepEqual } from "../utils/index.js"
+import { withCustomProps, listOfCapabilities, requestMethods, deepEqual, concatUrl } from "../utils/index.js"
 import * as errors from "../errors/index.js"
+import { ResponseCache, createStore, cacheKey } from "../lib/cache.js"
+import { createHttpClient, transports } from "../lib/transport.js"
+import { CanceledError, isCancel, cancelTokenSource } from "../lib/cancel.js"
+import RequestQueue from "../lib/request-queue.js"
+import ChangeSubscription from "../lib/change-subscription.js"
 
 const intersection = (a1, a2) => a1.filter(x => a2.includes(x))
 
+// Error classes for specific HTTP status codes (other 4xx: InvalidRequestError, 5xx: BackendError)
+const errorClassForStatus = {
+  401: errors.AuthenticationError,
+  403: errors.ForbiddenError,
+  404: errors.NotFoundError,
+  409: errors.ConflictError,
+  429: errors.RateLimitError,
+}
+
+// Request methods that are usually called while the user is waiting for the result
+const interactiveMethods = ["suggest", "vocSuggest"]
+
+// Request methods used for polling by `subscribe` (by type)
+const subscriptionMethods = {
+  mappings: "getMappings",
+  concordances: "getConcordances",
+  annotations: "getAnnotations",
+}
+
+// Types of `auth` config (see `setAuthConfig`)
+const authTypes = ["bearer", "basic", "apiKey", "header"]
+
+/**
+ * Returns the query parameters of a request config without credentials added via `auth` config (for URLs in results, errors, and events).
+ *
+ * @private
+ */
+const publicParams = (config = {}) => Object.fromEntries(Object.entries(config.params || {}).filter(([key]) => key !== config._authParam))
+
+/**
+ * Encodes a string (including non-ASCII characters) as Base64.
+ *
+ * @private
+ */
+const base64 = (string) => btoa(String.fromCharCode(...new TextEncoder().encode(string)))
+
+/**
+ * Parses the value of a Retry-After header (either seconds or an HTTP date) into a delay in ms.
+ *
+ * @private
+ *
+ * @param {string} [value] header value
+ * @returns {?number} delay in ms or null if the value can't be parsed
+ */
+const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === "") {
+    return null
+  }
+  if (/^\s*\d+\s*$/.test(value)) {
+    return parseInt(value) * 1000
+  }
+  const date = Date.parse(value)
+  return isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
 // TODO: Decide on default timeout value
 const timeout_default = 200000
 
@@ -15,6 +74,7 @@ const timeout_default = 200000
  * 
  * Static members that should be set:
  * - providerName (This is how a provider is identified in a "registry" object in field `provider`.)
+ * - configSchema (Optional JSON Schema for provider-specific options of the registry object, used by `cdk.validateConfig`. Extend BaseProvider's schema via `extendSchema` from src/lib/config-schema.js.)
  * - providerType (Optional BARTOC API type URI. Supported types: https://github.com/gbv/bartoc.org/blob/main/data/bartoc-api-types.concepts.csv, the URI prefix is "http://bartoc.org/api-type/".)
  * - supports (Optional object of supported capabilities. The keys should be values from this list: https://github.com/gbv/cocoda-sdk/blob/9145952398d6828004beb395c1d392a4d24e9288/src/utils/index.js#L159-L174; values should be a boolean. `false` values can be left out. They will be used to initialize `this.has` (see below). Alternatively, `this.has` can be filled in `_prepare` or `_setup`.)
  *
@@ -59,6 +119,7 @@ const timeout_default = 200000
  * - `this._auth`: authentication key and token
  * - `this._api`: object of API endpoints for the registry
  * - `this._config`: configuration of the registry as provided by the `/status` endpoint if available
+ * - `this._responseCache`: cache for results of request methods if enabled (see `setCacheConfig`)
  *
  * All of the request methods take ONE parameter which is a config object. Actual parameters should be properties on this object. The config object should be destructured to remove the properties your method needs, and the remaining config object should be given to the axios request.
  * Example:
@@ -81,6 +142,55 @@ const timeout_default = 200000
 export default class BaseProvider {
   static providerName = "Base"
 
+  /**
+   * JSON Schema for registry objects (see src/lib/config-schema.js for supported keywords).
+   *
+   * @type {Object}
+   */
+  static configSchema = {
+    type: "object",
+    additionalProperties: false,
+    // Generic options and JSKOS properties are only checked for warnings (`level`) so that they don't prevent a config from being set
+    properties: Object.fromEntries(Object.entries({
+      // Provider and API
+      provider: { type: "string" },
+      api: { type: "string" },
+      endpoint: { type: "string" },
+      status: { type: ["string", "object", "null"] },
+      ...Object.fromEntries(["top", "data", "concepts", "narrower", "ancestors", "types", "suggest", "search", "voc-suggest", "voc-search", "mappings", "concordances", "annotations", "occurrences", "reconcile", "registries"].map(endpoint => [endpoint, { type: ["string", "array", "null"] }])),
+      changes: { type: ["boolean", "string", "null"] },
+      schemes: { type: ["array", "string", "null"], items: { type: "object" } },
+      excludedSchemes: { type: "array", items: { type: "object" } },
+      // Options
+      timeout: { type: "number", minimum: 0 },
+      backendTimeout: { type: "number", minimum: 0 },
+      cache: { type: ["boolean", "object"] },
+      retry: { type: "object" },
+      transport: { enum: transports },
+      maxConcurrentRequests: { type: "number", minimum: 1 },
+      requestsPerSecond: { type: "number", minimum: 0 },
+      circuitBreaker: { type: ["boolean", "object"] },
+      auth: {
+        type: "object",
+        required: ["type"],
+        properties: {
+          type: { enum: authTypes },
+          in: { enum: ["header", "query"] },
+          headers: { type: "object" },
+          origins: { type: "array", items: { type: "string" } },
+          ...Object.fromEntries(["token", "username", "password", "name", "value"].map(key => [key, { type: "string" }])),
+        },
+      },
+      stored: { type: "boolean" },
+      language: { type: "string" },
+      suggestResultLimit: { type: "number", minimum: 1 },
+      // JSKOS properties
+      ...Object.fromEntries(["uri", "url", "created", "modified", "@context"].map(key => [key, { type: "string" }])),
+      ...Object.fromEntries(["prefLabel", "altLabel", "definition", "scopeNote"].map(key => [key, { type: "object" }])),
+      ...Object.fromEntries(["identifier", "notation", "type", "publisher", "creator", "contributor", "subject", "API"].map(key => [key, { type: "array" }])),
+    }).map(([key, schema]) => [key, { ...schema, level: "warning" }])),
+  }
+
   /**
    * Provider constructor.
    *
@@ -91,7 +201,9 @@ export default class BaseProvider {
     if (this._jskos && this._jskos.timeout && this._jskos.backendTimeout) {
       this._jskos.timeout = Math.max(this._jskos.timeout, this._jskos.backendTimeout)
     }
-    this.axios = axios.create({
+    // HTTP client (axios or fetch transport, see lib/transport.js)
+    this.axios = createHttpClient({
+      transport: registry.transport,
       timeout: this._jskos && this._jskos.timeout ? this._jskos.timeout : timeout_default,
     })
     // Path is used for https check and local mappings
@@ -121,9 +233,12 @@ export default class BaseProvider {
     this._auth = {
       key: null,
       bearerToken: null,
+      getToken: null,
+      onUnauthorized: null,
     }
-    // Set repeating requests array
+    // Repeating calls and subscriptions belonging to this registry (stopped by `dispose`)
     this._repeating = []
+    this._subscriptions = new Set()
 
     // Set API URLs from registry object
     this._api = {
@@ -147,12 +262,77 @@ export default class BaseProvider {
       reconcile: registry.reconcile,
       api: registry.endpoint || registry.api,
       registries: registry.registries,
+      changes: registry.changes,
     }
 
     this._config = {}
 
-    // Set default retry config
-    this.setRetryConfig()
+    // Set retry config from registry object (defaults if not given)
+    this.setRetryConfig(registry.retry)
+
+    // Set cache config from registry object (disabled by default)
+    this.setCacheConfig(registry.cache)
+
+    // Set request limits from registry object (unlimited by default)
+    this._requestQueue = new RequestQueue()
+    this.setRequestLimits({
+      maxConcurrentRequests: registry.maxConcurrentRequests,
+      requestsPerSecond: registry.requestsPerSecond,
+    })
+
+    // Set circuit breaker config from registry object (enabled by default)
+    this._health = {
+      status: "unknown",
+      circuit: "closed",
+      failures: 0,
+      latency: null,
+      lastError: null,
+      lastSuccess: null,
+      lastFailure: null,
+    }
+    this.setCircuitBreakerConfig(registry.circuitBreaker)
+
+    // Set authentication config from registry object (none by default)
+    this.setAuthConfig(registry.auth)
+
+    // Wait for a slot in the request queue (registered first so that it runs right before the request is sent)
+    this.axios.interceptors.request.use(async (config = {}) => {
+      // Fail fast if the circuit is open (requests probing the service are let through)
+      if (this._health.circuit === "open" && !config._probe) {
+        throw new errors.CircuitOpenError({ message: `Service ${this.uri || this._api.api || ""} is currently unavailable.` })
+      }
+      try {
+        await this._requestQueue.acquire({ priority: config._priority, signal: config.signal })
+      } catch (error) {
+        throw new CanceledError(null, config)
+      }
+      config._queueSlot = true
+      config._startTime = Date.now()
+      return config
+    })
+    // Release the slot when the request is done (registered first so that it runs before a possible retry)
+    const releaseSlot = (config) => {
+      if (config?._queueSlot) {
+        config._queueSlot = false
+        this._requestQueue.release()
+      }
+    }
+    this.axios.interceptors.response.use(response => {
+      releaseSlot(response.config)
+      this._recordSuccess(response.config)
+      return response
+    }, error => {
+      releaseSlot(error.config)
+      // Only count errors that indicate a problem with the service (no response or 5xx); other responses show that the service is available
+      if (error.response && error.response.status < 500) {
+        this._recordSuccess(error.config)
+      }
+      if (error.config) {
+        // Failures are recorded when the request is not retried anymore so that each request counts only once (see below)
+        error.config._serviceFailure = !!(error.config._startTime && !isCancel(error) && (error.response?.status >= 500 || (!error.response && error.request)))
+      }
+      return Promise.reject(error)
+    })
 
     // Add a request interceptor
     this.axios.interceptors.request.use((config = {}) => {
@@ -162,22 +342,39 @@ export default class BaseProvider {
         config.params.language = [...new Set(
           [].concat((config.params.language ?? "").split(","), this.languages, this._defaultLanguages).filter(Boolean)),
         ].join(",")
-        // Set auth
-        if (this.has.auth && this._auth.bearerToken && !config?.headers?.Authorization) {
+        // Set auth (a header set here is updated for retries so that they use the current token)
+        if (this.has.auth && this._auth.bearerToken && (!config?.headers?.Authorization || config._authHeader)) {
           config.headers ||= {}
           config.headers.Authorization = `Bearer ${this._auth.bearerToken}`
+          config._authHeader = true
         }
       }
 
+      // Add credentials from auth config (only for allowed origins)
+      this._applyAuthConfig(config)
+
       // Don't perform http requests if site is used via https
       if (config.url?.startsWith("http:") && typeof window !== "undefined" && window.location.protocol == "https:") {
         // TODO: Return proper error object.
-        throw new axios.Cancel("Can't call http API from https.")
+        throw new CanceledError("Can't call http API from https.")
       }
 
       return config
     })
 
+    // Prepares the config of a failed request to be sent again
+    const prepareReplay = config => {
+      // from: https://github.com/axios/axios/issues/934#issuecomment-531463172
+      if (typeof config.data === "string") {
+        try {
+          config.data = JSON.parse(config.data)
+        } catch (error) {
+          // Keep data that is not JSON
+        }
+      }
+      return config
+    }
+
     // Add a response interceptor
     this.axios.interceptors.response.use(({ data, headers = {}, config = {} }) => {
       // Apply unicode normalization
@@ -188,7 +385,7 @@ export default class BaseProvider {
       if (!url.endsWith("?")) {
         url += "?"
       }
-      url += new URLSearchParams(config.params || {}).toString()
+      url += new URLSearchParams(publicParams(config)).toString()
 
       if (typeof data === "object") { // Array or Object
         // Add total count to array as prop
@@ -201,36 +398,38 @@ export default class BaseProvider {
 
       // TODO: Return data or whole response here?
       return data
-    }, error => {
+    }, async error => {
+      // On 401, get a fresh token once and replay the request if a token provider or an unauthorized hook is configured (see `setAuth`)
+      if (error.response?.status === 401 && error.config && (this._auth.getToken || this._auth.onUnauthorized)) {
+        if (this._auth.getToken && !error.config._authRefreshed) {
+          error.config._authRefreshed = true
+          if (await this._refreshToken(error)) {
+            return this.axios(prepareReplay(error.config))
+          }
+        }
+        this._unauthorized(error)
+        return Promise.reject(error)
+      }
       const count = error.config?._retryCount ?? 0
-      const statusCode = error.response?.status
-      if (
-        this._retryConfig.methods.includes(error.config?.method)
-        && this._retryConfig.statusCodes.includes(statusCode)
-        && count < this._retryConfig.count
-      ) {
-        error.config._retryCount = count + 1
-        // from: https://github.com/axios/axios/issues/934#issuecomment-531463172
-        if (error.config.data) {
-          error.config.data = JSON.parse(error.config.data)
+      const delay = this._retryDelay(error, count)
+      if (delay === null) {
+        if (error.config?._serviceFailure) {
+          this._recordFailure(error)
         }
-        return new Promise((resolve, reject) => {
-          setTimeout(() => {
-            this.axios(error.config).then(resolve).catch(reject)
-          }, (() => {
-            const delay = this._retryConfig.delay
-            if (typeof delay === "function") {
-              return delay(count)
-            }
-            return delay
-          })())
-        })
-      } else {
         return Promise.reject(error)
       }
+      error.config._retryCount = count + 1
+      this._emitRequestEvent("retry", error.config._requestMethod, publicParams(error.config), { url: error.config.url, attempt: count + 1, delay, status: error.response?.status, error, errorClass: error.name })
+      return new Promise((resolve, reject) => {
+        setTimeout(() => {
+          this.axios(prepareReplay(error.config)).then(resolve).catch(reject)
+        }, delay)
+      })
     })
 
     const currentRequests = []
+    // AbortControllers of requests in progress (see `cancelAll`)
+    this._abortControllers = new Set()
     for (let { method, type } of requestMethods) {
       // Make sure all methods exist, but thrown an error if they are not implemented
       const existingMethod = this[method] && this[method].bind(this)
@@ -240,79 +439,106 @@ export default class BaseProvider {
         }
         continue
       }
+      const isWriteMethod = /^(post|put|patch|delete)/.test(method)
       this[method] = (options = {}) => {
         // Allow calling the "raw" method without adjustments
         if (options._raw) {
           delete options._raw
           return existingMethod(options)
         }
-        // Return from existing requests if one exists
-        const existingRequest = currentRequests.find(r => r.method == method && deepEqual(r.options, options))
+        // Determine whether the result can be taken from or saved in the response cache
+        const useCache = !isWriteMethod && options._cache !== false && this._responseCache
+        delete options._cache
+        // Interactive requests are sent before other requests waiting in the request queue (see `setRequestLimits`)
+        if (interactiveMethods.includes(method)) {
+          options._priority ??= 1
+        }
+        // Return from existing requests if one exists (only if both requests can be cancelled by the same signal)
+        const { cancelToken, signal, _requestMethod, ...opts } = options // eslint-disable-line no-unused-vars
+        const existingRequest = currentRequests.find(r => r.method == method && r.signal === signal && deepEqual(r.options, opts))
         if (existingRequest) {
           return existingRequest.promise
         }
-        // Add an axios cancel token to each request
-        let source
-        if (!options.cancelToken) {
-          source = this.getCancelTokenSource()
-          options.cancelToken = source.token
+        // Each request gets its own AbortController which is aborted via `promise.cancel`, `cancelAll`, or the signal given by the caller.
+        // Its signal is passed on to the request (and to sub-requests like `getSchemes` in `ConceptApiProvider`).
+        const controller = new AbortController()
+        const abortFromSignal = () => controller.abort(signal.reason)
+        if (signal?.aborted) {
+          controller.abort(signal.reason)
+        } else {
+          signal?.addEventListener("abort", abortFromSignal, { once: true })
         }
+        options.signal = controller.signal
+        this._abortControllers.add(controller)
+        // Request method is used for "retry" events (see `_emitRequestEvent`)
+        options._requestMethod = method
+        const startTime = Date.now()
+        let cached = false
+        this._emitRequestEvent("request", method, opts)
+        const cancelled = new Promise((resolve, reject) => {
+          const onAbort = () => reject(controller.signal.reason)
+          controller.signal.aborted ? onAbort() : controller.signal.addEventListener("abort", onAbort, { once: true })
+        })
         // Make sure a registry is initialized (see `init` method) before any request
         // TODO: Is this a good solution?
-        const promise = this.init()
-          .then(() => existingMethod(options))
+        const pending = this.init()
+          .then(async () => {
+            if (!useCache) {
+              const result = await existingMethod(options)
+              if (isWriteMethod) {
+                // Cached results might be outdated after a write request
+                await this.clearCache()
+              }
+              return result
+            }
+            const key = `${method}:${this.languages.join(",")}:${cacheKey(options)}`
+            let result = await this._responseCache.get(key)
+            if (result === undefined) {
+              result = await existingMethod(options)
+              await this._responseCache.set(key, result, this._responseCache.ttlFor(method, type))
+            } else {
+              cached = true
+            }
+            return result
+          })
           // Add totalCount to arrays
           .then(result => {
-            if (typeof result === "object" && result._totalCount === undefined) {
+            if (result && typeof result === "object" && result._totalCount === undefined) {
               result._totalCount = Array.isArray(result) ? result.length : 1
             }
             if (result && type && this[`adjust${type}`]) {
               result = this[`adjust${type}`](result)
             }
             return result
-          }).catch(error => {
-            if (error instanceof errors.CDKError) {
-              throw error
-            } else {
-              if (error.response) {
-                // 4xx = invalid request
-                if (error.response.status.toString().startsWith(4)) {
-                  throw new errors.InvalidRequestError({ relatedError: error, code: error.response.status })
-                } else {
-                  throw new errors.BackendError({ relatedError: error, code: error.response.status })
-                }
-              } else if (error.request) {
-                if (typeof navigator !== "undefined") {
-                  // If connected, it should be a backend problem
-                  if (navigator.connection || navigator.mozConnection || navigator.webkitConnection) {
-                    throw new errors.BackendUnavailableError({ relatedError: error })
-                  }
-                }
-                // Otherwise, assume a network error
-                throw new errors.NetworkError({ relatedError: error })
-              } else {
-                // Otherwise, throw generic CDKError
-                console.error(error)
-                throw new errors.CDKError({ relatedError: error })
-              }
-            }
           })
+        const promise = Promise.race([cancelled, pending]).catch(error => {
+          throw this._toCDKError(error, { method, cancelled: controller.signal.aborted })
+        })
+        promise.then(result => {
+          this._emitRequestEvent("response", method, opts, { duration: Date.now() - startTime, count: result?._totalCount, cached })
+        }, error => {
+          this._emitRequestEvent("error", method, opts, { duration: Date.now() - startTime, error, errorClass: error.name })
+        })
         // Attach cancel method to Promise
-        if (source) {
-          promise.cancel = (...args) => {
-            return source.cancel(...args)
-          }
+        promise.cancel = (reason) => {
+          controller.abort(reason)
         }
         // Save to list of existing requests
-        const { cancelToken, ...opts } = options // eslint-disable-line no-unused-vars
         const request = {
           method,
           options: opts,
+          signal,
           promise,
         }
         currentRequests.push(request)
-        // Remove from list of current requests after promise is done
-        promise.catch(() => { }).then(() => currentRequests.splice(currentRequests.indexOf(request), 1))
+        // Remove from list of current requests after promise is done (and stop listening to the caller's signal which might be used for further requests)
+        // (registered directly on the promise so that it happens before any subsequent call by the caller)
+        const removeRequest = () => {
+          currentRequests.splice(currentRequests.indexOf(request), 1)
+          this._abortControllers.delete(controller)
+          signal?.removeEventListener("abort", abortFromSignal)
+        }
+        promise.then(removeRequest, removeRequest)
         // Add adjustment methods
         return promise
       }
@@ -393,6 +619,11 @@ export default class BaseProvider {
         }
       }
       this._setup()
+      // Use credentials that were set for all services of the same login server (see `cdk.setAuth`)
+      const key = this._config?.auth?.key
+      if (key && this.cdk?._credentials?.[key]) {
+        this.setAuth({ key, ...this.cdk._credentials[key] })
+      }
     })()
     return this._init
   }
@@ -419,49 +650,600 @@ export default class BaseProvider {
   _setup() { }
 
   /**
-   * Returns a source for a axios cancel token.
+   * Returns a source for a cancel token (compatible with axios cancel tokens).
    *
-   * @returns {Object} axios cancel token source
+   * @deprecated Use the `signal` parameter of request methods with an `AbortController` instead.
+   * @returns {Object} cancel token source
    */
   getCancelTokenSource() {
-    return axios.CancelToken.source()
+    return cancelTokenSource()
+  }
+
+  /**
+   * Cancels all requests of this registry that are currently in progress.
+   *
+   * The promises of cancelled requests are rejected with a CancelledError.
+   *
+   * @param {any} [reason] reason for cancellation
+   */
+  cancelAll(reason) {
+    for (const controller of this._abortControllers) {
+      controller.abort(reason)
+    }
+  }
+
+  /**
+   * Disposes the registry: stops repeating calls belonging to it (see `cdk.repeat`), cancels all requests in progress, and stops health checks. Called when the registry is removed from the config or replaced because its config changed.
+   *
+   * @param {any} [reason] reason for cancellation
+   */
+  dispose(reason = "Service was disposed.") {
+    for (const repeat of this._repeating) {
+      repeat.stop()
+    }
+    this._repeating = []
+    for (const subscription of this._subscriptions) {
+      subscription.unsubscribe()
+    }
+    this.cancelAll(reason)
+    clearTimeout(this._probeTimer)
+  }
+
+  /**
+   * Subscribes to changes of mappings, concordances, or annotations.
+   *
+   * If the service offers a change stream and WebSockets are available, changes are received in real time and the connection is re-established automatically. The change stream is given as `changes` in the registry object or in the status: `true` for jskos-server's WebSocket endpoints (e.g. `/mappings/changes` relative to the mappings endpoint) or a URL where `{type}` is replaced by the type. Otherwise, all results of `getMappings` (`getConcordances`, `getAnnotations`) are polled page by page (see `iterate`) and compared.
+   *
+   * ```js
+   * const subscription = registry.subscribe({ type: "mappings", filter: { from: concept.uri } }, ({ type, id, object }) => {
+   *   // type is "create", "update", or "delete"
+   * })
+   * subscription.unsubscribe()
+   * ```
+   *
+   * @param {Object} options
+   * @param {string} options.type "mappings", "concordances", or "annotations"
+   * @param {Object} [options.filter={}] query parameters for the change stream and parameters for the request method when polling
+   * @param {number} [options.interval=15000] polling interval in ms
+   * @param {Function} [options.onError] function called with errors (e.g. failed polling requests)
+   * @param {Function} handler function called with each change event (`{ type, id, object }`)
+   * @returns {Object} subscription with method `unsubscribe` and property `mode` ("websocket" or "polling"; null until the registry is initialized)
+   */
+  subscribe({ type, filter = {}, interval, onError } = {}, handler) {
+    const method = subscriptionMethods[type]
+    if (!method) {
+      throw new errors.InvalidOrMissingParameterError({ parameter: "type", message: `Unsupported type for subscriptions: ${type} (supported: ${Object.keys(subscriptionMethods).join(", ")})` })
+    }
+    if (typeof handler !== "function") {
+      throw new errors.InvalidOrMissingParameterError({ parameter: "handler", message: "handler needs to be a function" })
+    }
+    const subscription = new ChangeSubscription({
+      handler,
+      onError,
+      onUnsubscribe: subscription => this._subscriptions.delete(subscription),
+    })
+    this._subscriptions.add(subscription)
+    this.init().then(() => {
+      if (!subscription.active) {
+        return
+      }
+      const url = this._changesUrl(type, filter)
+      if (url && globalThis.WebSocket) {
+        const adjust = this[`adjust${type[0].toUpperCase()}${type.slice(1)}`]
+        subscription.stream({
+          url,
+          WebSocket: globalThis.WebSocket,
+          objectType: type.slice(0, -1),
+          adjust: object => adjust ? adjust.call(this, [object])[0] : object,
+        })
+      } else {
+        // Poll all pages so that changes beyond the first page are noticed as well
+        subscription.poll({
+          poll: async () => {
+            const results = []
+            for await (const item of this.iterate(method, { ...filter, _cache: false })) {
+              results.push(item)
+            }
+            return results
+          },
+          interval,
+        })
+      }
+    }).catch(error => onError?.(error))
+    return subscription
+  }
+
+  /**
+   * Returns the WebSocket URL of the change stream for a type (see `subscribe`) or null if there is none.
+   *
+   * @private
+   */
+  _changesUrl(type, filter = {}) {
+    const changes = this._api.changes ?? this._config?.changes
+    let url
+    if (typeof changes === "string") {
+      url = changes.replace("{type}", type)
+    } else if (changes && typeof this._api[type] === "string") {
+      url = concatUrl(this._api[type], "/changes")
+    } else {
+      return null
+    }
+    const params = new URLSearchParams()
+    for (const [key, value] of Object.entries(filter)) {
+      if (value !== undefined && value !== null) {
+        params.append(key, value?.uri ?? value)
+      }
+    }
+    const query = params.toString()
+    return url.replace(/^http/, "ws") + (query ? (url.includes("?") ? "&" : "?") + query : "")
   }
 
   /**
    * Sets authentication credentials.
    *
+   * If a request is rejected with status 401 and `getToken` is given, a fresh token is requested once and the request is sent again. If there is still no valid token, `onUnauthorized` is called and the "unauthorized" event is emitted on the CDK instance (payload: `{ registry, error }`) so that the application can ask the user to log in again. If neither is given, 401 responses are handled by the retry configuration (see `setRetryConfig`).
+   *
    * @param {Object} options
    * @param {string} options.key public key of login-server instance the user is authorized for
    * @param {string} options.bearerToken token that is sent with each request
+   * @param {Function} [options.getToken] (async) function that returns a fresh token (called with `{ registry, error }`)
+   * @param {Function} [options.onUnauthorized] function that is called with `{ registry, error }` when a request is rejected with status 401 and no fresh token could be obtained
    */
-  setAuth({ key = this._auth.key, bearerToken = this._auth.bearerToken }) {
+  setAuth({ key = this._auth.key, bearerToken = this._auth.bearerToken, getToken = this._auth.getToken, onUnauthorized = this._auth.onUnauthorized }) {
     this._auth.key = key
     this._auth.bearerToken = bearerToken
+    this._auth.getToken = getToken
+    this._auth.onUnauthorized = onUnauthorized
   }
 
   /**
-   * Sets retry configuration.
+   * Gets a fresh token via `getToken` (see `setAuth`). Concurrent calls share the same request for a token. A new token is shared with all services of the CDK instance that use the same login server.
+   *
+   * @private
+   *
+   * @param {Error} error error of the request that was rejected
+   * @returns {Promise<?string>} new token or null if no token could be obtained
+   */
+  _refreshToken(error) {
+    if (!this._tokenRefresh) {
+      this._tokenRefresh = (async () => {
+        const bearerToken = await this._auth.getToken({ registry: this, error })
+        if (!bearerToken) {
+          return null
+        }
+        this.setAuth({ bearerToken })
+        if (this._auth.key) {
+          this.cdk?.setAuth?.({ key: this._auth.key, bearerToken })
+        }
+        return bearerToken
+      })().catch(() => null).finally(() => {
+        this._tokenRefresh = null
+      })
+    }
+    return this._tokenRefresh
+  }
+
+  /**
+   * Tells the application that the user needs to log in again (see `setAuth`).
+   *
+   * @private
+   */
+  _unauthorized(error) {
+    try {
+      this._auth.onUnauthorized?.({ registry: this, error })
+    } catch (error) {
+      console.warn("Error in onUnauthorized:", error)
+    }
+    this.cdk?._emit?.("unauthorized", { registry: this, error })
+  }
+
+  /**
+   * Sets retry configuration. Can also be set via the `retry` property of the registry object.
+   *
+   * Requests with other methods (e.g. write requests that are safe to retry) can opt in by adding `_retry: true` to the request config; `_retry: false` disables retries for a request.
+   * If retries for status code 429 are exhausted, the request method throws a RateLimitError.
    *
    * @param {Object} config
    * @param {string[]} [config.methods=["get", "head", "options"]] HTTP methods to retry (lowercase)
-   * @param {number[]} [config.statusCodes=[401, 403]] status codes to retry
+   * @param {number[]} [config.statusCodes=[401, 403, 429, 503]] status codes to retry
    * @param {number} [config.count=3] maximum number of retries
-   * @param {number|Function} [config.delay=300*count] a delay in ms or a function that takes the number of current retries and returns a delay in ms
+   * @param {string} [config.backoff="exponential"] either "exponential" (`baseDelay * 2^count`) or "linear" (`baseDelay * (count + 1)`)
+   * @param {number} [config.baseDelay=300] base delay in ms
+   * @param {number} [config.maxDelay=30000] maximum delay in ms (also for `Retry-After`; longer waiting times are not retried)
+   * @param {boolean} [config.jitter=true] randomize delays between half and full delay
+   * @param {boolean} [config.retryAfter=true] honor `Retry-After` headers
+   * @param {boolean} [config.networkErrors=false] also retry requests that failed without response (network errors and timeouts)
+   * @param {number|Function} [config.delay] a delay in ms or a function that takes the number of current retries and returns a delay in ms (overrides `backoff`, `baseDelay`, and `jitter`)
    */
   setRetryConfig(config = {}) {
     this._retryConfig = Object.assign({
       methods: ["get", "head", "options"],
-      statusCodes: [401, 403],
+      statusCodes: [401, 403, 429, 503],
       count: 3,
-      delay: (count) => {
-        return 300 * count
-      },
+      backoff: "exponential",
+      baseDelay: 300,
+      maxDelay: 30000,
+      jitter: true,
+      retryAfter: true,
+      networkErrors: false,
     }, config)
   }
 
+  /**
+   * Sets limits for HTTP requests of this registry. Requests exceeding the limits wait in a queue. Can also be set via the `maxConcurrentRequests` and `requestsPerSecond` properties of the registry object.
+   *
+   * Waiting requests with a higher priority are sent first. The priority can be set with `_priority` in the request config (default: 0, 1 for `suggest` and `vocSuggest`).
+   *
+   * @param {Object} [config]
+   * @param {number} [config.maxConcurrentRequests] maximum number of requests in progress at the same time (unlimited if not given)
+   * @param {number} [config.requestsPerSecond] maximum number of requests started per second (unlimited if not given)
+   */
+  setRequestLimits({ maxConcurrentRequests, requestsPerSecond } = {}) {
+    this._requestQueue.configure({ maxConcurrentRequests, requestsPerSecond })
+  }
+
+  /**
+   * Sets authentication config for services that need credentials other than a token from Login Server (see `setAuth`). Can also be set via the `auth` property of the registry object.
+   *
+   * Credentials are only sent with requests to the origins of the service's API URLs (`api`, `endpoint`, `status`, and other endpoints given in the registry object) or to the origins given in `origins`. Requests to other hosts and requests with relative URLs don't get credentials.
+   *
+   * @param {?Object} [config] auth config or null to remove it
+   * @param {string} config.type "bearer" (`Authorization: Bearer`), "basic" (HTTP Basic auth), "apiKey" (key in a header or query parameter), or "header" (custom headers)
+   * @param {string} [config.token] token for type "bearer"
+   * @param {string} [config.username] username for type "basic"
+   * @param {string} [config.password] password for type "basic"
+   * @param {string} [config.name] name of header or query parameter for type "apiKey"
+   * @param {string} [config.value] API key for type "apiKey"
+   * @param {string} [config.in="header"] placement of the API key for type "apiKey", either "header" or "query"
+   * @param {Object} [config.headers] headers for type "header"
+   * @param {string[]} [config.origins] origins (e.g. `https://api.example.org`) credentials are sent to (default: origins of the service's API URLs)
+   */
+  setAuthConfig(config) {
+    if (!config) {
+      this._authConfig = null
+      return
+    }
+    if (!authTypes.includes(config.type)) {
+      throw new errors.InvalidOrMissingParameterError({ parameter: "auth", message: `Unsupported auth type: ${config.type} (supported: ${authTypes.join(", ")})` })
+    }
+    const required = { bearer: ["token"], basic: ["username"], apiKey: ["name", "value"], header: ["headers"] }[config.type]
+    const missing = required.find(key => !config[key])
+    if (missing) {
+      throw new errors.InvalidOrMissingParameterError({ parameter: "auth", message: `Missing ${missing} for auth type ${config.type}` })
+    }
+    if (config.type === "apiKey" && config.in && !["header", "query"].includes(config.in)) {
+      throw new errors.InvalidOrMissingParameterError({ parameter: "auth", message: `Unsupported placement for API key: ${config.in} (supported: header, query)` })
+    }
+    let origins = config.origins
+    if (!origins) {
+      // Origins of all API URLs known from the registry object
+      origins = Object.values(this._api).flat().filter(url => typeof url === "string").map(url => {
+        try {
+          return new URL(url).origin
+        } catch (error) {
+          return null
+        }
+      })
+    }
+    this._authConfig = { in: "header", ...config, origins: [...new Set(origins.filter(origin => origin && origin !== "null"))] }
+  }
+
+  /**
+   * Adds credentials from the auth config to a request config if the request goes to an allowed origin (see `setAuthConfig`).
+   *
+   * @private
+   */
+  _applyAuthConfig(config) {
+    const auth = this._authConfig
+    if (!auth || !config.url) {
+      return
+    }
+    let origin
+    try {
+      origin = new URL(config.url).origin
+    } catch (error) {
+      // Relative URL
+      return
+    }
+    if (!auth.origins.includes(origin)) {
+      return
+    }
+    const headers = {}
+    switch (auth.type) {
+      case "bearer":
+        headers.Authorization = `Bearer ${auth.token}`
+        break
+      case "basic":
+        headers.Authorization = `Basic ${base64(`${auth.username}:${auth.password ?? ""}`)}`
+        break
+      case "apiKey":
+        if (auth.in === "query") {
+          config.params ||= {}
+          config.params[auth.name] = auth.value
+          config._authParam = auth.name
+        } else {
+          headers[auth.name] = auth.value
+        }
+        break
+      case "header":
+        Object.assign(headers, auth.headers)
+        break
+    }
+    if (Object.keys(headers).length) {
+      config.headers ||= {}
+      for (const [name, value] of Object.entries(headers)) {
+        // Headers given in the request config take precedence
+        if (!config.headers[name]) {
+          config.headers[name] = value
+        }
+      }
+    }
+  }
+
+  /**
+   * Current health of the registry, based on recent HTTP requests.
+   *
+   * - `status`: "unknown" (no requests yet), "healthy", "degraded" (recent failures or high latency), or "unavailable" (circuit is open)
+   * - `circuit`: "closed" (requests are sent), "open" (requests fail fast with CircuitOpenError), or "half-open" (the next request decides whether the circuit closes again)
+   * - `failures`: number of consecutive failures
+   * - `latency`: average latency in ms (exponentially weighted)
+   * - `lastError`, `lastSuccess`, `lastFailure`: last error and timestamps
+   *
+   * @type {Object}
+   * @readonly
+   */
+  get health() {
+    return { ...this._health }
+  }
+
+  /**
+   * Sets circuit breaker configuration. Can also be set via the `circuitBreaker` property of the registry object.
+   *
+   * After `failureThreshold` consecutive failures (network errors, timeouts, or 5xx responses; a request that is retried counts once), the circuit opens and requests fail fast with a CircuitOpenError. Every `resetTimeout` ms, the `/status` endpoint is requested to check whether the service is available again; if there is no status endpoint, the next request is let through instead. Changes of `health.status` are emitted as "serviceHealthChanged" event on the CDK instance.
+   *
+   * @param {Object|boolean} [config] circuit breaker config, or `false` to disable the circuit breaker
+   * @param {number} [config.failureThreshold=5] number of consecutive failures that opens the circuit
+   * @param {number} [config.resetTimeout=30000] time in ms after which the service is probed again
+   * @param {number} [config.latencyThreshold=10000] average latency in ms above which the service is considered degraded
+   */
+  setCircuitBreakerConfig(config = {}) {
+    this._circuitBreakerConfig = Object.assign({
+      enabled: config !== false,
+      failureThreshold: 5,
+      resetTimeout: 30000,
+      latencyThreshold: 10000,
+    }, config || {})
+    if (!this._circuitBreakerConfig.enabled && this._health.circuit !== "closed") {
+      this._setHealth({ circuit: "closed", status: "degraded" })
+    }
+  }
+
+  /**
+   * Converts an error thrown during a request method call into a CDKError and adds details about the request (URL, method name, service URI, and the error body returned by the server).
+   *
+   * @private
+   *
+   * @param {Error} error original error (e.g. from axios)
+   * @param {Object} options
+   * @param {string} options.method name of the request method
+   * @param {boolean} [options.cancelled=false] whether the request was cancelled
+   * @returns {CDKError}
+   */
+  _toCDKError(error, { method, cancelled = false }) {
+    if (!(error instanceof errors.CDKError)) {
+      const config = error?.config || {}
+      let url = config.url || null
+      const params = new URLSearchParams(publicParams(config)).toString()
+      if (url && params) {
+        url += (url.includes("?") ? "&" : "?") + params
+      }
+      const details = { relatedError: error, url }
+      if (cancelled || isCancel(error)) {
+        // Cancelled requests are expected and therefore not logged
+        error = new errors.CancelledError({ ...details, message: "Request was cancelled." })
+      } else if (error?.response) {
+        const code = error.response.status
+        const data = error.response.data === "" ? null : error.response.data ?? null
+        // Prefer error message from server (e.g. jskos-server returns JSON errors with `message`)
+        const message = typeof data?.message === "string" ? data.message : ""
+        const ErrorClass = errorClassForStatus[code] || (code >= 400 && code < 500 ? errors.InvalidRequestError : errors.BackendError)
+        error = new ErrorClass({ ...details, code, data, message, retryAfter: code === 429 ? parseRetryAfter(error.response.headers?.["retry-after"]) : undefined })
+      } else if (["ECONNABORTED", "ETIMEDOUT"].includes(error?.code)) {
+        error = new errors.TimeoutError(details)
+      } else if (error?.request) {
+        // If connected, it should be a backend problem; otherwise, assume a network error
+        const connected = typeof navigator !== "undefined" && (navigator.connection || navigator.mozConnection || navigator.webkitConnection)
+        error = connected ? new errors.BackendUnavailableError(details) : new errors.NetworkError(details)
+      } else {
+        // Otherwise, throw generic CDKError
+        console.error(error)
+        error = new errors.CDKError(details)
+      }
+    }
+    error.method ??= method
+    error.service ??= this.uri ?? null
+    return error
+  }
+
+  /**
+   * Emits an event about a request on the CDK instance (see `CocodaSDK#on`).
+   *
+   * @private
+   *
+   * @param {string} event one of "request", "response", "error", "retry"
+   * @param {string} method name of the request method (e.g. `getConcepts`)
+   * @param {Object} options options of the request method call (internal properties are left out; query parameters of the HTTP request for "retry")
+   * @param {Object} [details] additional properties of the event
+   */
+  _emitRequestEvent(event, method, options = {}, details = {}) {
+    if (!this.cdk?._emit) {
+      return
+    }
+    const params = {}
+    for (const key of Object.keys(options).filter(key => !key.startsWith("_") && !["signal", "cancelToken"].includes(key))) {
+      params[key] = options[key]
+    }
+    this.cdk._emit(event, { method, registry: this, uri: this.uri, params, ...details })
+  }
+
+  /**
+   * Updates health of the registry and emits "serviceHealthChanged" if the status changed.
+   *
+   * @private
+   */
+  _setHealth(changes) {
+    const previousStatus = this._health.status
+    Object.assign(this._health, changes)
+    if (previousStatus !== this._health.status) {
+      this.cdk?._emit?.("serviceHealthChanged", { registry: this, health: this.health, previousStatus })
+    }
+  }
+
+  /**
+   * Records a successful request for the registry's health.
+   *
+   * @private
+   */
+  _recordSuccess(config = {}) {
+    if (!config._startTime) {
+      return
+    }
+    const duration = Date.now() - config._startTime
+    const latency = this._health.latency === null ? duration : Math.round(0.8 * this._health.latency + 0.2 * duration)
+    clearTimeout(this._probeTimer)
+    this._setHealth({
+      status: latency > this._circuitBreakerConfig.latencyThreshold ? "degraded" : "healthy",
+      circuit: "closed",
+      failures: 0,
+      latency,
+      lastSuccess: new Date().toISOString(),
+    })
+  }
 
+  /**
+   * Records a failed request for the registry's health and opens the circuit if necessary.
+   *
+   * @private
+   */
+  _recordFailure(error) {
+    const { enabled, failureThreshold } = this._circuitBreakerConfig
+    const failures = this._health.failures + 1
+    const open = enabled && this._health.circuit !== "open" && (failures >= failureThreshold || this._health.circuit === "half-open")
+    this._setHealth({
+      status: open || this._health.circuit === "open" ? "unavailable" : "degraded",
+      circuit: open ? "open" : this._health.circuit,
+      failures,
+      lastError: error,
+      lastFailure: new Date().toISOString(),
+    })
+    if (open || (this._health.circuit === "open" && error.config?._probe)) {
+      this._scheduleProbe()
+    }
+  }
 
+  /**
+   * Schedules a check whether the service is available again (see `setCircuitBreakerConfig`).
+   *
+   * @private
+   */
+  _scheduleProbe() {
+    clearTimeout(this._probeTimer)
+    this._probeTimer = setTimeout(() => {
+      if (this._health.circuit !== "open") {
+        return
+      }
+      if (typeof this._api.status === "string") {
+        // Result is recorded by the interceptors (success closes the circuit, failure schedules the next probe)
+        this.axios({ method: "get", url: this._api.status, _probe: true, _retry: false, _skipAdditionalParameters: true }).catch(() => {})
+      } else {
+        this._setHealth({ circuit: "half-open" })
+      }
+    }, this._circuitBreakerConfig.resetTimeout)
+    // Don't keep Node.js processes running because of the timer
+    this._probeTimer.unref?.()
+  }
 
+  /**
+   * Determines whether a failed request should be retried according to the retry configuration.
+   *
+   * @private
+   *
+   * @param {Error} error axios error
+   * @param {number} count number of retries so far
+   * @returns {?number} delay in ms until the retry, or null if the request should not be retried
+   */
+  _retryDelay(error, count) {
+    const config = error.config, retryConfig = this._retryConfig
+    if (!config || isCancel(error) || config._retry === false || count >= retryConfig.count) {
+      return null
+    }
+    if (!config._retry && !retryConfig.methods.includes(config.method)) {
+      return null
+    }
+    if (error.response) {
+      if (!retryConfig.statusCodes.includes(error.response.status)) {
+        return null
+      }
+    } else if (!retryConfig.networkErrors || !error.request) {
+      return null
+    }
+    if (retryConfig.retryAfter) {
+      const retryAfter = parseRetryAfter(error.response?.headers?.["retry-after"])
+      if (retryAfter !== null) {
+        return retryAfter <= retryConfig.maxDelay ? retryAfter : null
+      }
+    }
+    if (typeof retryConfig.delay === "function") {
+      return retryConfig.delay(count)
+    }
+    if (retryConfig.delay !== undefined) {
+      return retryConfig.delay
+    }
+    let delay = retryConfig.backoff === "linear" ? retryConfig.baseDelay * (count + 1) : retryConfig.baseDelay * 2 ** count
+    delay = Math.min(delay, retryConfig.maxDelay)
+    if (retryConfig.jitter) {
+      delay = delay / 2 + Math.random() * delay / 2
+    }
+    return Math.round(delay)
+  }
+
+  /**
+   * Sets response cache configuration. Caching is disabled by default and can also be enabled via the `cache` property of the registry object.
+   *
+   * Only results of read methods are cached; successful write requests (e.g. `postMapping`) clear the cache. Single requests can bypass the cache with `_cache: false`.
+   *
+   * @param {Object|boolean} [config] cache config, `true` for the defaults, or `false` to disable caching
+   * @param {number|Object} [config.ttl=300000] time to live in ms; can also be an object with method names (e.g. `getNarrower`), result types (e.g. `Concepts`), and `default` as keys
+   * @param {number} [config.maxEntries=500] maximum number of entries in the cache
+   * @param {string|Object} [config.store] "memory", "localforage", or a localforage-compatible store object (defaults to localforage in the browser and an in-memory LRU store in Node)
+   */
+  setCacheConfig(config) {
+    if (!config) {
+      this._cacheConfig = null
+      this._responseCache = null
+      return
+    }
+    this._cacheConfig = Object.assign({
+      ttl: 5 * 60 * 1000,
+      maxEntries: 500,
+      store: null,
+    }, config === true ? {} : config)
+    const prefix = `${this.uri || ""}|`
+    this._responseCache = new ResponseCache({
+      store: createStore({ ...this._cacheConfig, prefix }),
+      ttl: this._cacheConfig.ttl,
+      prefix,
+    })
+  }
+
+  /**
+   * Removes all cached results for this registry.
+   *
+   * @returns {Promise}
+   */
+  async clearCache() {
+    await this._responseCache?.clear()
+  }
 
   /**
    * Returns suggestion result in OpenSearch Suggest Format.
@@ -647,6 +1429,52 @@ export default class BaseProvider {
     return withCustomProps(mappings.map(mapping => this.adjustMapping(mapping)), mappings)
   }
 
+  /**
+   * Iterates over all results of a list-returning request method (e.g. `getMappings`) by requesting one page at a time via `offset` and `limit`.
+   *
+   * Iteration stops when the total count given by the server (`X-Total-Count`) is reached, when a page is shorter than `pageSize`, or when a page starts with the same item as the previous page (i.e. the method ignores `offset`). Requests can be cancelled with `signal` (an AbortSignal).
+   *
+   * ```js
+   * for await (const mapping of registry.iterate("getMappings", { partOf: concordance, pageSize: 500 })) {
+   *   // ...
+   * }
+   * ```
+   *
+   * @param {string} method name of the request method
+   * @param {Object} [config] config object for the request method
+   * @param {number} [config.pageSize=100] number of results requested per page
+   * @param {number} [config.offset=0] offset of the first result
+   * @returns {AsyncGenerator} async iterator over the results
+   */
+  async *iterate(method, { pageSize = 100, offset = 0, ...config } = {}) {
+    if (typeof this[method] !== "function" || requestMethods.find(m => m.method === method)?.fallback?.length !== 0) {
+      throw new errors.InvalidOrMissingParameterError({ parameter: "method", message: `${method} is not a list-returning request method` })
+    }
+    let previousUri
+    while (true) {
+      config.signal?.throwIfAborted()
+      config.cancelToken?.throwIfRequested()
+      const page = await this[method]({ ...config, offset, limit: pageSize })
+      // Stop if the method seems to ignore `offset`
+      if (previousUri !== undefined && page[0]?.uri === previousUri) {
+        break
+      }
+      previousUri = page[0]?.uri
+      for (const item of page) {
+        yield item
+      }
+      offset += page.length
+      // Stop on empty or short pages, or if the method seems to ignore `limit`
+      if (page.length === 0 || page.length !== pageSize) {
+        break
+      }
+      // Total count is only trustworthy if it was given by the server (otherwise it equals the length of the page)
+      if (page._totalCount !== page.length && page._totalCount <= offset) {
+        break
+      }
+    }
+  }
+
   /**
    * POSTs multiple mappings. Do not override in subclass!
    *
@@ -123,8 +123,12 @@ export default class ConceptApiProvider extends BaseProvider {
    * Returns the main vocabulary URI by requesting the scheme info and saving it in a cache.
    *
    * @private
+   *
+   * @param {Object} scheme JSKOS concept scheme
+   * @param {Object} [config]
+   * @param {AbortSignal} [config.signal] signal of the request that needs the scheme URI
    */
-  async _getSchemeUri(scheme) {
+  async _getSchemeUri(scheme, { signal } = {}) {
     this._approvedSchemes = this._approvedSchemes || []
     this._rejectedSchemes = this._rejectedSchemes || []
     let _scheme = this._approvedSchemes.find(s => jskos.compare(scheme, s))
@@ -136,7 +140,7 @@ export default class ConceptApiProvider extends BaseProvider {
       return null
     }
     // Otherwise load scheme data and save in approved/rejected schemes
-    const schemes = await this.getSchemes({ params: {
+    const schemes = await this.getSchemes({ signal, params: {
       uri: jskos.getAllUris(scheme).join("|"),
     } })
     const resultScheme = schemes.find(s => jskos.compare(s, scheme))
@@ -230,7 +234,7 @@ export default class ConceptApiProvider extends BaseProvider {
     if (!scheme) {
       throw new errors.InvalidOrMissingParameterError({ parameter: "scheme" })
     }
-    const schemeUri = await this._getSchemeUri(scheme)
+    const schemeUri = await this._getSchemeUri(scheme, config)
     if (!schemeUri) {
       throw new errors.InvalidOrMissingParameterError({ parameter: "scheme", message: "Requested vocabulary seems to be unsupported by this API." })
     }
@@ -444,7 +448,7 @@ export default class ConceptApiProvider extends BaseProvider {
     limit = limit || this._jskos.suggestResultLimit || 100
     offset = offset || 0
     // Scheme to search in
-    const voc = scheme && await this._getSchemeUri(scheme)
+    const voc = scheme && await this._getSchemeUri(scheme, config)
     // Some registries use URL templates with {searchTerms}
     url = url.replace("{searchTerms}", search)
     return this.axios({
@@ -478,7 +482,7 @@ export default class ConceptApiProvider extends BaseProvider {
     if (Array.isArray(this._api.types)) {
       return this._api.types
     }
-    const schemeUri = scheme && await this._getSchemeUri(scheme)
+    const schemeUri = scheme && await this._getSchemeUri(scheme, config)
     if (schemeUri) {
       config.params ||= {}
       config.params.uri = schemeUri
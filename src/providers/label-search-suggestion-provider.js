@@ -1,6 +1,7 @@
 import BaseProvider from "./base-provider.js"
 import jskos from "jskos-tools"
 import * as errors from "../errors/index.js"
+import { extendSchema } from "../lib/config-schema.js"
 
 // TODO: Only keep the last 20 results in cache.
 // TODO: Try to remove dependencies on `selected`, `scheme._registry.registry.uri`, etc.
@@ -209,3 +210,8 @@ export default class LabelSearchSuggestionProvider extends BaseProvider {
 
 LabelSearchSuggestionProvider.providerName = "LabelSearchSuggestion"
 LabelSearchSuggestionProvider.stored = false
+LabelSearchSuggestionProvider.configSchema = extendSchema(BaseProvider.configSchema, {
+  properties: {
+    overrides: { type: "array", items: { type: "object", required: ["search"], properties: { search: { type: "string" } } } },
+  },
+})
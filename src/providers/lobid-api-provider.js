@@ -1,7 +1,6 @@
 import BaseProvider from "./base-provider.js"
 import * as errors from "../errors/index.js"
 import jskos from "jskos-tools"
-import axios from "axios"
 
 const api = "https://lobid.org/gnd/"
 
@@ -287,7 +286,7 @@ export default class LobidApiProvider extends BaseProvider {
     return []
   }
 
-  async getConcepts({ concepts }) {
+  async getConcepts({ concepts, signal, _priority }) {
     if (!concepts) {
       throw new errors.InvalidOrMissingParameterError({ parameter: "concepts" })
     }
@@ -303,8 +302,8 @@ export default class LobidApiProvider extends BaseProvider {
     const errors = []
     const results = await Promise.all(notations.map(async notation => {
       try {
-        const result = await axios.get(`${this._api.api}${notation}.json`)
-        return toJSKOS(result.data)
+        const data = await this.axios.get(`${this._api.api}${notation}.json`, { _skipAdditionalParameters: true, signal, _priority })
+        return toJSKOS(data)
       } catch (error) {
         errors.push(error)
       }
@@ -317,13 +316,16 @@ export default class LobidApiProvider extends BaseProvider {
     return results.filter(Boolean)
   }
 
-  async getNarrower({ concept, limit = 200, offset = 0 }) {
+  async getNarrower({ concept, limit = 200, offset = 0, signal, _priority }) {
     if (!concept || !concept.uri) {
       throw new errors.InvalidOrMissingParameterError({ parameter: "concept" })
     }
     const uri = fixURI(concept.uri)
     const q = broaderProps.map(prop => `${prop}.id:"${uri}"`).join(" OR ")
-    const result = await axios.get(`${this._api.api}search`, {
+    const result = await this.axios.get(`${this._api.api}search`, {
+      _skipAdditionalParameters: true,
+      signal,
+      _priority,
       params: {
         q,
         format: "json",
@@ -331,7 +333,7 @@ export default class LobidApiProvider extends BaseProvider {
         from: offset,
       },
     })
-    return result.data.member.map(member => toJSKOS(member))
+    return result.member.map(member => toJSKOS(member))
   }
 
   async suggest(config) {
@@ -349,7 +351,7 @@ export default class LobidApiProvider extends BaseProvider {
     return results.member.map(member => toJSKOS(member))
   }
 
-  async _search({ search, types, limit = 100, offset = 0, format = "json" }) {
+  async _search({ search, types, limit = 100, offset = 0, format = "json", signal, _priority }) {
     if (!search) {
       throw new errors.InvalidOrMissingParameterError({ parameter: "search" })
     }
@@ -358,14 +360,18 @@ export default class LobidApiProvider extends BaseProvider {
     if (types.length) {
       filter = types.map(type => `type:${type}`).join(" OR ")
     }
-    const results = await axios.get(`${this._api.api}search`, { params: {
-      q: search,
-      filter,
-      format,
-      size: limit,
-      from: offset,
-    }})
-    return results.data
+    return this.axios.get(`${this._api.api}search`, {
+      _skipAdditionalParameters: true,
+      signal,
+      _priority,
+      params: {
+        q: search,
+        filter,
+        format,
+        size: limit,
+        from: offset,
+      },
+    })
   }
 
   async getTypes({ scheme }) {
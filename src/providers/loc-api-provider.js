@@ -1,7 +1,6 @@
 import BaseProvider from "./base-provider.js"
 import * as errors from "../errors/index.js"
 import jskos from "jskos-tools"
-import axios from "axios"
 
 const locUriPrefix = "http://id.loc.gov/authorities/"
 const supportedSchemes = [
@@ -150,21 +149,22 @@ export default class LocApiProvider extends BaseProvider {
    *
    * @returns {Object[]} array of JSKOS concept scheme objects
    */
-  async getSchemes() {
+  async getSchemes({ signal, _priority } = {}) {
     const schemes = []
 
     for (let scheme of await Promise.all(
-      supportedSchemes.filter(s => !this.schemes || !this.schemes.length || this.schemes.find(s2 => jskos.compare(s, s2))).map(s => axios({
+      supportedSchemes.filter(s => !this.schemes || !this.schemes.length || this.schemes.find(s2 => jskos.compare(s, s2))).map(s => this.axios({
         method: "get",
         url: `${s.uri.replace("http:", "https:")}.json`,
-      }).then(({ status, data }) => {
-        if (status === 200) {
-          let scheme = data.find(d => s.uri === d["@id"])
-          if (scheme) {
-            scheme = jskos.merge(madsToJskosScheme(scheme), s)
-            scheme.topConcepts = (scheme.topConcepts || []).filter(c => c)
-            return scheme
-          }
+        _skipAdditionalParameters: true,
+        signal,
+        _priority,
+      }).then(data => {
+        let scheme = data.find(d => s.uri === d["@id"])
+        if (scheme) {
+          scheme = jskos.merge(madsToJskosScheme(scheme), s)
+          scheme.topConcepts = (scheme.topConcepts || []).filter(c => c)
+          return scheme
         }
         return null
       })))) {
@@ -200,25 +200,25 @@ export default class LocApiProvider extends BaseProvider {
    * @param {Object[]} config.concepts list of concept objects to load
    * @returns {Object[]} array of JSKOS concept objects
    */
-  async getConcepts({ concepts }) {
+  async getConcepts({ concepts, signal, _priority }) {
     if (!Array.isArray(concepts)) {
       concepts = [concepts]
     }
 
     const resultConcepts = []
 
-    for (let concept of await Promise.all(concepts.map(c => axios({
+    for (let concept of await Promise.all(concepts.map(c => this.axios({
       method: "get",
       url: `${c.uri.replace("http:", "https:")}.json`,
-    }).then(({ status, data }) => {
-      if (status === 200) {
-        let concept = data.find(d => c.uri === d["@id"])
-        if (concept) {
-          return madsToJskosConcept(concept, { scheme: c.inScheme && c.inScheme[0] })
-        }
-        return null
+      _skipAdditionalParameters: true,
+      signal,
+      _priority,
+    }).then(data => {
+      let concept = data.find(d => c.uri === d["@id"])
+      if (concept) {
+        return madsToJskosConcept(concept, { scheme: c.inScheme && c.inScheme[0] })
       }
-
+      return null
     })))) {
       if (concept) {
         resultConcepts.push(concept)
@@ -260,7 +260,7 @@ export default class LocApiProvider extends BaseProvider {
    * @param {number} [config.offset=0] offset
    * @returns {Array} result in JSKOS Format
    */
-  async search({ search, scheme, limit, offset }) {
+  async search({ search, scheme, limit, offset, signal, _priority }) {
     const schemeUri = jskos.getAllUris(scheme).find(uri => uri.startsWith(locUriPrefix))
     if (!schemeUri || !supportedSchemes.find(s => jskos.compare(s, { uri: schemeUri }))) {
       throw new errors.InvalidOrMissingParameterError({ parameter: "scheme", message: "provided scheme is not supported (yet)" })
@@ -270,9 +270,12 @@ export default class LocApiProvider extends BaseProvider {
     }
     limit = limit || this._jskos.suggestResultLimit || 100
     offset = offset || 0
-    const { data } = await axios({
+    const data = await this.axios({
       method: "get",
       url: `${schemeUri}/suggest2`.replace("http:", "https:"),
+      _skipAdditionalParameters: true,
+      signal,
+      _priority,
       params: {
         q: search,
         count: limit || 100,
@@ -1,14 +1,19 @@
 import BaseProvider from "./base-provider.js"
 import jskos from "jskos-tools"
-import localforage from "localforage"
 import { v4 as uuid } from "uuid"
 import * as errors from "../errors/index.js"
+import { createStorage } from "../lib/storage.js"
+import MappingIndex from "../lib/mapping-index.js"
+import { extendSchema } from "../lib/config-schema.js"
 const uriPrefix = "urn:uuid:"
 
+// Target URI of an annotation (target can be a string or an object with `id`)
+const annotationTarget = annotation => annotation?.target?.id || annotation?.target
+
 /**
  * Local Mappings.
  *
- * This class provides read-write access to mappings in the browser's local storage.
+ * This class provides read-write access to mappings in the browser's local storage (via localforage) or in other storages like files in Node.js.
  *
  * To use it in a registry, specify `provider` as "LocalMappings":
  * ```json
@@ -20,6 +25,16 @@ const uriPrefix = "urn:uuid:"
  *
  * Additionally, the following JSKOS properties can be provided: `prefLabel`, `notation`, `definition`
  *
+ * The storage can be configured with the following properties:
+ * - `storage`: "localforage" (default in the browser), "memory" (default in Node.js), `{ "type": "file", "path": "...", "format": "json" }` (Node.js only, format can also be "ndjson"), or a storage adapter object (see src/lib/storage.js)
+ * - `storageKey`: key under which the mappings are stored (default: "cocoda-mappings--" followed by the path of the current page); concordances and annotations are stored under the same key followed by "--concordances" and "--annotations" respectively, remote URIs of synced mappings (see `syncTo`) followed by "--sync"
+ *
+ * Local mappings can be added to local concordances via `partOf`. References to other concordances are removed from mappings when saving. The number of mappings in a concordance is kept up-to-date in its `extent` property.
+ *
+ * Local mappings can be annotated with annotations in W3C Web Annotation form (see JSKOS). Annotations are deleted together with their target mapping.
+ *
+ * Mappings are kept in an in-memory index for querying. Before each query and each change, mappings, concordances, and annotations are reloaded from storage so that changes made by other instances (e.g. in another browser tab) are visible and not overwritten.
+ *
  * @extends BaseProvider
  * @category Providers
  */
@@ -32,6 +47,18 @@ export default class LocalMappingsProvider extends BaseProvider {
         update: true,
         delete: true,
       },
+      concordances: {
+        read: true,
+        create: true,
+        update: true,
+        delete: true,
+      },
+      annotations: {
+        read: true,
+        create: true,
+        update: true,
+        delete: true,
+      },
     }
   }
 
@@ -40,63 +67,125 @@ export default class LocalMappingsProvider extends BaseProvider {
    */
   _setup() {
     this.queue = []
-    this.localStorageKey = "cocoda-mappings--" + this._path
+    this._storage = createStorage(this._jskos.storage)
+    this.localStorageKey = this._jskos.storageKey || "cocoda-mappings--" + this._path
+    this.concordancesStorageKey = this.localStorageKey + "--concordances"
+    this.annotationsStorageKey = this.localStorageKey + "--annotations"
+    this.syncStorageKey = this.localStorageKey + "--sync"
+    this._index = null
+    this._concordances = null
+    this._annotations = null
     let oldLocalStorageKey = "mappings"
-    // Function that adds URIs to all existing local mappings that don't yet have one
-    let addUris = () => {
-      return localforage.getItem(this.localStorageKey).then(mappings => {
-        mappings = mappings || []
-        let adjusted = 0
-        for (let mapping of mappings.filter(m => !m.uri || !m.uri.startsWith(uriPrefix))) {
-          if (mapping.uri) {
-            // Keep previous URI in identifier
-            if (!mapping.identifier) {
-              mapping.identifier = []
-            }
-            mapping.identifier.push(mapping.uri)
-          }
-          mapping.uri = `${uriPrefix}${uuid()}`
-          adjusted += 1
-        }
-        if (adjusted) {
-          console.warn(`URIs added to ${adjusted} local mappings.`)
-        }
-        return localforage.setItem(this.localStorageKey, mappings)
-      })
-    }
     // Show warning if there are mappings in local storage that use the old local storage key.
-    localforage.getItem(oldLocalStorageKey).then(results => {
+    this._storage.getItem(oldLocalStorageKey).then(results => {
       if (results) {
-        console.warn(`Warning: There is old data in local storage (or IndexedDB, depending on the ) with the key "${oldLocalStorageKey}". This data will not be used anymore. A manual export is necessary to get this data back.`)
+        console.warn(`Warning: There is old data in local storage (or IndexedDB, depending on the browser) with the key "${oldLocalStorageKey}". This data will not be used anymore. A manual export is necessary to get this data back.`)
       }
     })
-    // Put promise into queue so that getMappings requests are waiting for adjustments to finish
-    this.queue.push(
-      addUris().catch(error => {
-        console.warn("Error when adding URIs to local mappings:", error)
-      }),
-    )
   }
 
   isAuthorizedFor({ type, action }) {
-    // Allow all for mappings
-    if (type == "mappings" && action != "anonymous") {
+    // Allow all for mappings, concordances, and annotations
+    if (["mappings", "concordances", "annotations"].includes(type) && action != "anonymous") {
       return true
     }
     return false
   }
 
   /**
-   * Returns a Promise that returns an object { mappings, done } with the local mappings and a done function that is supposed to be called when the transaction is finished.
-   * This prevents conflicts when saveMapping is called multiple times simultaneously.
+   * Loads the local mappings from storage into an in-memory index. Mappings that don't yet have a local URI get one. Local concordances and annotations are loaded into `this._concordances` and `this._annotations` as well.
+   *
+   * @private
+   */
+  async _loadIndex() {
+    const mappings = (await this._storage.getItem(this.localStorageKey)) || []
+    let adjusted = 0
+    for (let mapping of mappings.filter(m => !m.uri || !m.uri.startsWith(uriPrefix))) {
+      if (mapping.uri) {
+        // Keep previous URI in identifier
+        if (!mapping.identifier) {
+          mapping.identifier = []
+        }
+        mapping.identifier.push(mapping.uri)
+      }
+      mapping.uri = `${uriPrefix}${uuid()}`
+      adjusted += 1
+    }
+    if (adjusted) {
+      await this._storage.setItem(this.localStorageKey, mappings)
+      console.warn(`URIs added to ${adjusted} local mappings.`)
+    }
+    this._concordances = (await this._storage.getItem(this.concordancesStorageKey)) || []
+    this._annotations = (await this._storage.getItem(this.annotationsStorageKey)) || []
+    this._index = new MappingIndex(mappings)
+    return this._index
+  }
+
+  /**
+   * Writes the indexed mappings back to storage.
+   *
+   * @private
+   */
+  async _saveIndex() {
+    await this._storage.setItem(this.localStorageKey, this._index.all())
+  }
+
+  /**
+   * Writes the local concordances back to storage.
+   *
+   * @private
+   */
+  async _saveConcordances() {
+    await this._storage.setItem(this.concordancesStorageKey, this._concordances)
+  }
+
+  /**
+   * Writes the local annotations back to storage.
+   *
+   * @private
+   */
+  async _saveAnnotations() {
+    await this._storage.setItem(this.annotationsStorageKey, this._annotations)
+  }
+
+  /**
+   * Removes references to concordances that don't exist locally from a mapping's `partOf`.
+   *
+   * @private
+   */
+  _adjustPartOf(mapping) {
+    const partOf = (mapping.partOf || []).filter(concordance => concordance && this._concordances.find(c => jskos.compare(c, concordance)))
+    if (partOf.length) {
+      mapping.partOf = partOf
+    } else {
+      delete mapping.partOf
+    }
+  }
+
+  /**
+   * Updates `extent` of concordances that the given mappings are part of and saves the concordances if necessary.
    *
-   * TODO: There might be a better solution for this...
+   * @private
+   */
+  async _updateExtents(...mappings) {
+    const concordances = this._concordances.filter(concordance => mappings.find(mapping => (mapping?.partOf || []).find(partOf => jskos.compare(partOf, concordance))))
+    for (const concordance of concordances) {
+      concordance.extent = `${this._index.lookup(["partOf"], concordance).size}`
+    }
+    if (concordances.length) {
+      await this._saveConcordances()
+    }
+  }
+
+  /**
+   * Returns a Promise that returns an object { index, done } with the index of local mappings and a done function that is supposed to be called when the transaction is finished.
+   * This prevents conflicts when saveMapping is called multiple times simultaneously. All data is reloaded from storage beforehand (see above).
    *
    * @private
    */
   _getMappingsQueue() {
     let last = this.queue.slice(-1)[0] || Promise.resolve()
-    return new Promise((resolve) => {
+    return new Promise((resolve, reject) => {
       function defer() {
         let res, rej
 
@@ -117,9 +206,12 @@ export default class LocalMappingsProvider extends BaseProvider {
       this.queue.push(promise)
 
       last.then(() => {
-        return localforage.getItem(this.localStorageKey)
-      }).then(mappings => {
-        resolve({ mappings, done })
+        return this._loadIndex()
+      }).then(index => {
+        resolve({ index, done })
+      }).catch(error => {
+        done()
+        reject(error)
       })
     })
   }
@@ -142,12 +234,13 @@ export default class LocalMappingsProvider extends BaseProvider {
   /**
    * Returns a list of local mappings.
    *
-   * TODO: Add support for sort (`created` or `modified`) and order (`asc` or `desc`).
-   * TODO: Clean up and use async/await
+   * Supports the same query parameters as MappingsApiProvider. Mappings are sorted by `modified` (or `created` if not available) in descending order by default; use `sort` ("created" or "modified") and `order` ("asc" or "desc") to change this.
+   *
+   * Annotations can be filtered with `annotatedBy` (creator URIs separated by `|`), `annotatedFor` (motivation, or "any"/"none" for mappings with/without annotations), and `annotatedWith` (body value, e.g. "+1"). If more than one of them is given, a single annotation has to match all of them. Annotations are included in the `annotations` property of each mapping that has any.
    *
    * @returns {Object[]} array of JSKOS mapping objects
    */
-  async getMappings({ from, fromScheme, to, toScheme, creator, type, partOf, offset, limit, direction, mode, identifier, uri } = {}) {
+  async getMappings({ from, fromScheme, to, toScheme, creator, type, partOf, offset, limit, direction, mode, identifier, uri, sort, order, cardinality, annotatedBy, annotatedFor, annotatedWith } = {}) {
     let params = {}
     if (from) {
       params.from = typeof from === "string" ? from : from.uri
@@ -188,16 +281,32 @@ export default class LocalMappingsProvider extends BaseProvider {
     if (uri) {
       params.uri = uri
     }
+    if (sort) {
+      params.sort = sort
+    }
+    if (order) {
+      params.order = order
+    }
+    if (cardinality) {
+      params.cardinality = cardinality
+    }
+    if (annotatedBy) {
+      params.annotatedBy = annotatedBy
+    }
+    if (annotatedFor) {
+      params.annotatedFor = annotatedFor
+    }
+    if (annotatedWith) {
+      params.annotatedWith = annotatedWith
+    }
     return this._getMappingsQueue().catch(relatedError => {
       throw new errors.CDKError({ message: "Could not get mappings from local storage", relatedError })
-    }).then(({ mappings, done }) => {
+    }).then(({ index, done }) => {
       done()
+      let mappings = this._getCandidates(index, params)
       // Check concept with param
       let checkConcept = (concept, param) => concept.uri == param || (param && concept.notation && concept.notation[0].toLowerCase() == param.toLowerCase())
       // Filter mappings according to params (support for from + to)
-      // TODO: - Support more parameters.
-      // TODO: - Move to its own things.
-      // TODO: - Clean all this up.
       if (params.from || params.to) {
         mappings = mappings.filter(mapping => {
           let fromInFrom = null != jskos.conceptsOfMapping(mapping, "from").find(concept => checkConcept(concept, params.from))
@@ -280,29 +389,106 @@ export default class LocalMappingsProvider extends BaseProvider {
       if (params.uri) {
         mappings = mappings.filter(mapping => mapping.uri == params.uri)
       }
+      // cardinality (1-to-1 means at most one target concept)
+      if (params.cardinality == "1-to-1") {
+        mappings = mappings.filter(mapping => jskos.conceptsOfMapping(mapping, "to").length <= 1)
+      }
+      // Group annotations by target
+      const annotations = new Map()
+      for (const annotation of this._annotations) {
+        const target = annotationTarget(annotation)
+        annotations.set(target, (annotations.get(target) || []).concat(annotation))
+      }
+      // annotations
+      if (params.annotatedBy || params.annotatedFor || params.annotatedWith) {
+        const creators = params.annotatedBy && params.annotatedBy.split("|")
+        const matches = annotation => (!creators || jskos.annotationCreatorMatches(annotation, creators))
+          && (!params.annotatedFor || ["any", "none"].includes(params.annotatedFor) || annotation.motivation == params.annotatedFor)
+          && (!params.annotatedWith || annotation.bodyValue == params.annotatedWith)
+        mappings = mappings.filter(mapping => {
+          const found = (annotations.get(mapping.uri) || []).some(matches)
+          return params.annotatedFor == "none" ? !found : found
+        })
+      }
       let totalCount = mappings.length
       // Sort mappings (default: modified/created date descending)
+      let getDate = mapping => mapping.modified || mapping.created
+      if (["created", "modified"].includes(params.sort)) {
+        getDate = mapping => mapping[params.sort]
+      }
+      const orderFactor = params.order == "asc" ? 1 : -1
       mappings = mappings.sort((a, b) => {
-        let aDate = a.modified || a.created
-        let bDate = b.modified || b.created
+        let aDate = getDate(a)
+        let bDate = getDate(b)
         if (bDate == null) {
           return -1
         }
         if (aDate == null) {
           return 1
         }
-        if (aDate > bDate) {
-          return -1
+        if (aDate == bDate) {
+          return 0
         }
-        return 1
+        return aDate > bDate ? orderFactor : -orderFactor
       })
       mappings = mappings.slice(params.offset || 0)
       mappings = mappings.slice(0, params.limit)
+      // Return copies so that indexed mappings can't be modified via results
+      mappings = mappings.map(mapping => {
+        mapping = jskos.deepCopy(mapping)
+        if (annotations.has(mapping.uri)) {
+          mapping.annotations = jskos.deepCopy(annotations.get(mapping.uri))
+        }
+        return mapping
+      })
       mappings._totalCount = totalCount
       return mappings
     })
   }
 
+  /**
+   * Uses the index to determine the mappings that can match the query parameters. Exact filtering is done in getMappings.
+   *
+   * @private
+   */
+  _getCandidates(index, params) {
+    if (params.uri) {
+      const mapping = index.get(params.uri)
+      return mapping ? [mapping] : []
+    }
+    const reversed = { from: "to", to: "from", fromScheme: "toScheme", toScheme: "fromScheme" }
+    const fieldsFor = field => {
+      if (params.direction == "backward") {
+        return [reversed[field]]
+      } else if (params.direction == "both") {
+        return [field, reversed[field]]
+      }
+      return [field]
+    }
+    let uris = null
+    const intersect = set => {
+      uris = uris ? new Set([...uris].filter(uri => set.has(uri))) : set
+    }
+    for (const fields of [["from", "to"], ["fromScheme", "toScheme"]]) {
+      const sets = fields.filter(field => params[field]).map(field => index.lookup(fieldsFor(field), params[field]))
+      if (!sets.length) {
+        continue
+      }
+      if (params.mode == "or") {
+        intersect(new Set(sets.flatMap(set => [...set])))
+      } else {
+        sets.forEach(intersect)
+      }
+    }
+    if (params.creator) {
+      intersect(new Set(params.creator.split("|").flatMap(creator => [...index.lookup(["creator"], creator)])))
+    }
+    if (params.partOf) {
+      intersect(index.lookup(["partOf"], params.partOf))
+    }
+    return uris ? [...uris].map(uri => index.get(uri)) : index.all()
+  }
+
   /**
    * Creates a mapping.
    *
@@ -314,7 +500,7 @@ export default class LocalMappingsProvider extends BaseProvider {
     if (!mapping) {
       throw new errors.InvalidOrMissingParameterError({ parameter: "mapping" })
     }
-    let { mappings: localMappings, done } = await this._getMappingsQueue()
+    let { index, done } = await this._getMappingsQueue()
     // Set URI if necessary
     if (!mapping.uri || !mapping.uri.startsWith(uriPrefix)) {
       if (mapping.uri) {
@@ -327,7 +513,7 @@ export default class LocalMappingsProvider extends BaseProvider {
       mapping.uri = `${uriPrefix}${uuid()}`
     }
     // Check if mapping already exists => throw error
-    if (localMappings.find(m => m.uri == mapping.uri)) {
+    if (index.get(mapping.uri)) {
       done()
       throw new errors.InvalidOrMissingParameterError({ parameter: "mapping", message: "Duplicate URI" })
     }
@@ -338,15 +524,13 @@ export default class LocalMappingsProvider extends BaseProvider {
     if (!mapping.modified) {
       mapping.modified = mapping.created
     }
-    // Remove partOf (no concordances supported in local mappings)
-    delete mapping.partOf
-    // Add to local mappings
-    localMappings.push(mapping)
-    // Minify mappings before saving back to local storage
-    localMappings = localMappings.map(mapping => jskos.minifyMapping(mapping))
-    // Write local mappings
+    // Only local concordances are supported
+    this._adjustPartOf(mapping)
+    // Write local mappings (minified)
     try {
-      await localforage.setItem(this.localStorageKey, localMappings)
+      index.add(jskos.minifyMapping(mapping))
+      await this._saveIndex()
+      await this._updateExtents(mapping)
       done()
       return mapping
     } catch (error) {
@@ -366,27 +550,25 @@ export default class LocalMappingsProvider extends BaseProvider {
     if (!mapping) {
       throw new errors.InvalidOrMissingParameterError({ parameter: "mapping" })
     }
-    let { mappings: localMappings, done } = await this._getMappingsQueue()
+    let { index, done } = await this._getMappingsQueue()
     // Check if mapping already exists => throw error if it doesn't
-    const index = localMappings.findIndex(m => m.uri == mapping.uri)
-    if (index == -1) {
+    const existing = index.get(mapping.uri)
+    if (!existing) {
       done()
       throw new errors.InvalidOrMissingParameterError({ parameter: "mapping", message: "Mapping not found" })
     }
     // Set created/modified
     if (!mapping.created) {
-      mapping.created = localMappings[index].created
+      mapping.created = existing.created
     }
     mapping.modified = (new Date()).toISOString()
-    // Remove partOf (no concordances supported in local mappings)
-    delete mapping.partOf
-    // Add to local mappings
-    localMappings[index] = mapping
-    // Minify mappings before saving back to local storage
-    localMappings = localMappings.map(mapping => jskos.minifyMapping(mapping))
-    // Write local mappings
+    // Only local concordances are supported
+    this._adjustPartOf(mapping)
+    // Write local mappings (minified)
     try {
-      await localforage.setItem(this.localStorageKey, localMappings)
+      index.add(jskos.minifyMapping(mapping))
+      await this._saveIndex()
+      await this._updateExtents(existing, mapping)
       done()
       return mapping
     } catch (error) {
@@ -406,27 +588,26 @@ export default class LocalMappingsProvider extends BaseProvider {
     if (!mapping) {
       throw new errors.InvalidOrMissingParameterError({ parameter: "mapping" })
     }
-    let { mappings: localMappings, done } = await this._getMappingsQueue()
+    let { index, done } = await this._getMappingsQueue()
     // Check if mapping already exists => throw error if it doesn't
-    const index = localMappings.findIndex(m => m.uri == mapping.uri)
-    if (index == -1) {
+    const existing = index.get(mapping.uri)
+    if (!existing) {
       done()
       throw new errors.InvalidOrMissingParameterError({ parameter: "mapping", message: "Mapping not found" })
     }
     // Set created/modified
     if (!mapping.created) {
-      mapping.created = localMappings[index].created
+      mapping.created = existing.created
     }
     mapping.modified = (new Date()).toISOString()
-    // Remove partOf (no concordances supported in local mappings)
-    delete mapping.partOf
-    // Add to local mappings
-    localMappings[index] = Object.assign(localMappings[index], mapping)
-    // Minify mappings before saving back to local storage
-    localMappings = localMappings.map(mapping => jskos.minifyMapping(mapping))
-    // Write local mappings
+    const updated = Object.assign({}, existing, mapping)
+    // Only local concordances are supported
+    this._adjustPartOf(updated)
+    // Write local mappings (minified)
     try {
-      await localforage.setItem(this.localStorageKey, localMappings)
+      index.add(jskos.minifyMapping(updated))
+      await this._saveIndex()
+      await this._updateExtents(existing, updated)
       done()
       return mapping
     } catch (error) {
@@ -446,13 +627,18 @@ export default class LocalMappingsProvider extends BaseProvider {
     if (!mapping) {
       throw new errors.InvalidOrMissingParameterError({ parameter: "mapping" })
     }
-    let { mappings: localMappings, done } = await this._getMappingsQueue()
+    let { index, done } = await this._getMappingsQueue()
     try {
       // Remove by URI
-      localMappings = localMappings.filter(m => m.uri != mapping.uri)
-      // Minify mappings before saving back to local storage
-      localMappings = localMappings.map(mapping => jskos.minifyMapping(mapping))
-      await localforage.setItem(this.localStorageKey, localMappings)
+      const existing = index.get(mapping.uri)
+      index.remove(mapping.uri)
+      await this._saveIndex()
+      await this._updateExtents(existing)
+      // Remove annotations of the mapping
+      if (this._annotations.find(annotation => annotationTarget(annotation) == mapping.uri)) {
+        this._annotations = this._annotations.filter(annotation => annotationTarget(annotation) != mapping.uri)
+        await this._saveAnnotations()
+      }
       done()
       return true
     } catch (error) {
@@ -460,7 +646,497 @@ export default class LocalMappingsProvider extends BaseProvider {
       throw error
     }
   }
+
+  /**
+   * Returns a list of local concordances.
+   *
+   * @param {Object} [config]
+   * @param {string} [config.uri] URI of the concordance
+   * @param {Object|string} [config.fromScheme] source scheme
+   * @param {Object|string} [config.toScheme] target scheme
+   * @param {string} [config.creator] creator URI or label (multiple separated by `|`)
+   * @param {string} [config.mode="and"] whether `fromScheme` and `toScheme` both need to match ("and") or only one of them ("or")
+   * @param {number} [config.offset]
+   * @param {number} [config.limit]
+   * @returns {Object[]} array of JSKOS concordance objects
+   */
+  async getConcordances({ uri, fromScheme, toScheme, creator, mode, offset, limit } = {}) {
+    let done
+    try {
+      ({ done } = await this._getMappingsQueue())
+    } catch (relatedError) {
+      throw new errors.CDKError({ message: "Could not get concordances from local storage", relatedError })
+    }
+    done()
+    fromScheme = typeof fromScheme === "string" ? { uri: fromScheme } : fromScheme
+    toScheme = typeof toScheme === "string" ? { uri: toScheme } : toScheme
+    let concordances = this._concordances
+    if (uri) {
+      concordances = concordances.filter(concordance => jskos.compare(concordance, { uri }))
+    }
+    if (fromScheme || toScheme) {
+      concordances = concordances.filter(concordance => {
+        const fromMatches = fromScheme && jskos.compare(concordance.fromScheme, fromScheme)
+        const toMatches = toScheme && jskos.compare(concordance.toScheme, toScheme)
+        if (mode == "or") {
+          return fromMatches || toMatches
+        }
+        return (!fromScheme || fromMatches) && (!toScheme || toMatches)
+      })
+    }
+    if (creator) {
+      const creators = creator.split("|")
+      concordances = concordances.filter(concordance => (concordance.creator || []).find(creator => creators.includes(jskos.prefLabel(creator)) || creators.includes(creator.uri)))
+    }
+    const totalCount = concordances.length
+    concordances = concordances.slice(offset || 0)
+    concordances = concordances.slice(0, limit)
+    // Return copies so that stored concordances can't be modified via results
+    concordances = concordances.map(concordance => jskos.deepCopy(concordance))
+    concordances._totalCount = totalCount
+    return concordances
+  }
+
+  /**
+   * Creates a concordance.
+   *
+   * @param {Object} config
+   * @param {Object} config.concordance JSKOS concordance
+   * @returns {Object} JSKOS concordance object
+   */
+  async postConcordance({ concordance }) {
+    if (!concordance) {
+      throw new errors.InvalidOrMissingParameterError({ parameter: "concordance" })
+    }
+    await this.init()
+    let { index, done } = await this._getMappingsQueue()
+    // Set URI if necessary
+    if (!concordance.uri || !concordance.uri.startsWith(uriPrefix)) {
+      if (concordance.uri) {
+        // Keep previous URI in identifier
+        concordance.identifier = (concordance.identifier || []).concat(concordance.uri)
+      }
+      concordance.uri = `${uriPrefix}${uuid()}`
+    }
+    // Check if concordance already exists => throw error
+    if (this._concordances.find(c => c.uri == concordance.uri)) {
+      done()
+      throw new errors.InvalidOrMissingParameterError({ parameter: "concordance", message: "Duplicate URI" })
+    }
+    // Set created/modified
+    if (!concordance.created) {
+      concordance.created = (new Date()).toISOString()
+    }
+    if (!concordance.modified) {
+      concordance.modified = concordance.created
+    }
+    concordance.extent = `${index.lookup(["partOf"], { uri: concordance.uri }).size}`
+    try {
+      this._concordances.push(jskos.deepCopy(concordance))
+      await this._saveConcordances()
+      done()
+      return concordance
+    } catch (error) {
+      done()
+      throw error
+    }
+  }
+
+  /**
+   * Overwrites a concordance.
+   *
+   * @param {Object} config
+   * @param {Object} config.concordance JSKOS concordance
+   * @returns {Object} JSKOS concordance object
+   */
+  async putConcordance({ concordance }) {
+    if (!concordance) {
+      throw new errors.InvalidOrMissingParameterError({ parameter: "concordance" })
+    }
+    return this._updateConcordance(concordance, () => concordance)
+  }
+
+  /**
+   * Patches a concordance.
+   *
+   * @param {Object} config
+   * @param {Object} config.concordance JSKOS concordance (or part of concordance)
+   * @returns {Object} JSKOS concordance object
+   */
+  async patchConcordance({ concordance }) {
+    if (!concordance) {
+      throw new errors.InvalidOrMissingParameterError({ parameter: "concordance" })
+    }
+    return this._updateConcordance(concordance, existing => Object.assign({}, existing, concordance))
+  }
+
+  /**
+   * Replaces a local concordance with the result of `update(existing)`, keeping `created` and `extent` and setting `modified`.
+   *
+   * @private
+   */
+  async _updateConcordance(concordance, update) {
+    await this.init()
+    let { done } = await this._getMappingsQueue()
+    const position = this._concordances.findIndex(c => c.uri == concordance.uri)
+    if (position == -1) {
+      done()
+      throw new errors.InvalidOrMissingParameterError({ parameter: "concordance", message: "Concordance not found" })
+    }
+    const existing = this._concordances[position]
+    const updated = update(existing)
+    if (!updated.created) {
+      updated.created = existing.created
+    }
+    updated.modified = (new Date()).toISOString()
+    // extent is managed by the provider
+    updated.extent = existing.extent
+    try {
+      this._concordances[position] = jskos.deepCopy(updated)
+      await this._saveConcordances()
+      done()
+      return updated
+    } catch (error) {
+      done()
+      throw error
+    }
+  }
+
+  /**
+   * Deletes a concordance. Concordances that still have mappings can't be deleted.
+   *
+   * @param {Object} config
+   * @param {Object} config.concordance JSKOS concordance
+   * @returns {boolean} `true` if deletion was successful
+   */
+  async deleteConcordance({ concordance }) {
+    if (!concordance) {
+      throw new errors.InvalidOrMissingParameterError({ parameter: "concordance" })
+    }
+    await this.init()
+    let { index, done } = await this._getMappingsQueue()
+    try {
+      if (index.lookup(["partOf"], { uri: concordance.uri }).size) {
+        throw new errors.InvalidOrMissingParameterError({ parameter: "concordance", message: "Can't delete a concordance that still has mappings" })
+      }
+      this._concordances = this._concordances.filter(c => c.uri != concordance.uri)
+      await this._saveConcordances()
+      done()
+      return true
+    } catch (error) {
+      done()
+      throw error
+    }
+  }
+
+  /**
+   * Returns a list of local annotations.
+   *
+   * @param {Object} [config]
+   * @param {string} [config.id] URI of the annotation
+   * @param {string} [config.target] target URI
+   * @param {string} [config.creator] creator URIs (multiple separated by `|`)
+   * @param {string} [config.motivation] motivation, e.g. "assessing"
+   * @param {number} [config.offset]
+   * @param {number} [config.limit]
+   * @returns {Object[]} array of JSKOS annotation objects
+   */
+  async getAnnotations({ id, target, creator, motivation, offset, limit } = {}) {
+    let done
+    try {
+      ({ done } = await this._getMappingsQueue())
+    } catch (relatedError) {
+      throw new errors.CDKError({ message: "Could not get annotations from local storage", relatedError })
+    }
+    done()
+    let annotations = this._annotations
+    if (id) {
+      annotations = annotations.filter(annotation => annotation.id == id)
+    }
+    if (target) {
+      annotations = annotations.filter(annotation => annotationTarget(annotation) == target)
+    }
+    if (creator) {
+      const creators = creator.split("|")
+      annotations = annotations.filter(annotation => jskos.annotationCreatorMatches(annotation, creators))
+    }
+    if (motivation) {
+      annotations = annotations.filter(annotation => annotation.motivation == motivation)
+    }
+    const totalCount = annotations.length
+    annotations = annotations.slice(offset || 0)
+    annotations = annotations.slice(0, limit)
+    annotations = annotations.map(annotation => jskos.deepCopy(annotation))
+    annotations._totalCount = totalCount
+    return annotations
+  }
+
+  /**
+   * Creates an annotation. The target needs to be a local mapping.
+   *
+   * @param {Object} config
+   * @param {Object} config.annotation JSKOS annotation
+   * @returns {Object} JSKOS annotation object
+   */
+  async postAnnotation({ annotation }) {
+    if (!annotation) {
+      throw new errors.InvalidOrMissingParameterError({ parameter: "annotation" })
+    }
+    let { index, done } = await this._getMappingsQueue()
+    if (!index.get(annotationTarget(annotation))) {
+      done()
+      throw new errors.InvalidOrMissingParameterError({ parameter: "annotation", message: "Target mapping not found" })
+    }
+    annotation["@context"] = annotation["@context"] || "http://www.w3.org/ns/anno.jsonld"
+    annotation.type = "Annotation"
+    if (!annotation.id || !annotation.id.startsWith(uriPrefix)) {
+      annotation.id = `${uriPrefix}${uuid()}`
+    }
+    if (this._annotations.find(a => a.id == annotation.id)) {
+      done()
+      throw new errors.InvalidOrMissingParameterError({ parameter: "annotation", message: "Duplicate URI" })
+    }
+    if (!annotation.created) {
+      annotation.created = (new Date()).toISOString()
+    }
+    try {
+      this._annotations.push(jskos.deepCopy(annotation))
+      await this._saveAnnotations()
+      done()
+      return annotation
+    } catch (error) {
+      done()
+      throw error
+    }
+  }
+
+  /**
+   * Overwrites an annotation.
+   *
+   * @param {Object} config
+   * @param {Object} config.annotation JSKOS annotation
+   * @returns {Object} JSKOS annotation object
+   */
+  async putAnnotation({ annotation }) {
+    if (!annotation) {
+      throw new errors.InvalidOrMissingParameterError({ parameter: "annotation" })
+    }
+    return this._updateAnnotation(annotation, () => annotation)
+  }
+
+  /**
+   * Patches an annotation.
+   *
+   * @param {Object} config
+   * @param {Object} config.annotation JSKOS annotation (or part of annotation)
+   * @returns {Object} JSKOS annotation object
+   */
+  async patchAnnotation({ annotation }) {
+    if (!annotation) {
+      throw new errors.InvalidOrMissingParameterError({ parameter: "annotation" })
+    }
+    return this._updateAnnotation(annotation, existing => Object.assign({}, existing, annotation))
+  }
+
+  /**
+   * Replaces a local annotation with the result of `update(existing)`, keeping `created` and setting `modified`.
+   *
+   * @private
+   */
+  async _updateAnnotation(annotation, update) {
+    let { index, done } = await this._getMappingsQueue()
+    const position = this._annotations.findIndex(a => a.id == annotation.id)
+    if (position == -1) {
+      done()
+      throw new errors.InvalidOrMissingParameterError({ parameter: "annotation", message: "Annotation not found" })
+    }
+    const existing = this._annotations[position]
+    const updated = update(existing)
+    if (!index.get(annotationTarget(updated))) {
+      done()
+      throw new errors.InvalidOrMissingParameterError({ parameter: "annotation", message: "Target mapping not found" })
+    }
+    if (!updated.created) {
+      updated.created = existing.created
+    }
+    updated.modified = (new Date()).toISOString()
+    try {
+      this._annotations[position] = jskos.deepCopy(updated)
+      await this._saveAnnotations()
+      done()
+      return updated
+    } catch (error) {
+      done()
+      throw error
+    }
+  }
+
+  /**
+   * Deletes an annotation.
+   *
+   * @param {Object} config
+   * @param {Object} config.annotation JSKOS annotation
+   * @returns {boolean} `true` if deletion was successful
+   */
+  async deleteAnnotation({ annotation }) {
+    if (!annotation) {
+      throw new errors.InvalidOrMissingParameterError({ parameter: "annotation" })
+    }
+    let { done } = await this._getMappingsQueue()
+    try {
+      this._annotations = this._annotations.filter(a => a.id != annotation.id)
+      await this._saveAnnotations()
+      done()
+      return true
+    } catch (error) {
+      done()
+      throw error
+    }
+  }
+
+  /**
+   * Uploads local mappings to another registry (e.g. a MappingsApiProvider).
+   *
+   * - Local mappings that have not been uploaded yet are created in the target registry. The URI of the remote mapping is recorded in the local mapping's `identifier` and, together with the URI of the target registry, under the storage key followed by "--sync" (so that remote URIs don't need to start with the registry's `mappings` endpoint).
+   * - Local mappings that have been uploaded before are compared to their remote version via `modified` (as points in time, so different time zones or precision don't matter): If they are the same, the mapping is skipped. If the local mapping is newer, the remote mapping is updated. If the remote mapping is newer or was deleted, the mapping is reported as conflicted and left untouched.
+   * - After a successful upload (or if a mapping is already in sync), the local copy is either kept or removed, depending on `strategy`.
+   * - Membership in local concordances (`partOf`) is not transferred.
+   *
+   * Each entry in the report has a `mapping` property with the local mapping. Entries in `created` and `updated` additionally have a `remote` property with the remote mapping, entries in `conflicted` have `remote` and `reason` properties, and entries in `failed` have an `error` property.
+   *
+   * @param {Object} registry target registry (needs to support creating and updating mappings)
+   * @param {Object} [config]
+   * @param {string} [config.strategy="keep"] whether to "keep" or "remove" local mappings after a successful upload
+   * @param {Object[]} [config.mappings] local mappings to sync (default: all local mappings)
+   * @returns {Object} report with arrays `created`, `updated`, `skipped`, `conflicted`, and `failed`
+   */
+  async syncTo(registry, { strategy = "keep", mappings, ...config } = {}) {
+    if (!registry || typeof registry.postMapping !== "function") {
+      throw new errors.InvalidOrMissingParameterError({ parameter: "registry" })
+    }
+    if (!["keep", "remove"].includes(strategy)) {
+      throw new errors.InvalidOrMissingParameterError({ parameter: "strategy", message: `Unknown strategy: ${strategy}` })
+    }
+    await this.init()
+    await registry.init()
+    if (!mappings) {
+      mappings = await this.getMappings({ _raw: true })
+    }
+    const report = {
+      created: [],
+      updated: [],
+      skipped: [],
+      conflicted: [],
+      failed: [],
+    }
+    const registryKey = registry.uri || registry._api.mappings
+    const synced = (await this._storage.getItem(this.syncStorageKey))?.[registryKey] || {}
+    // Mappings uploaded before remote URIs were recorded separately can only be recognized by their identifier
+    const remotePrefix = registry._api.mappings
+    for (const mapping of mappings) {
+      try {
+        const remoteUri = synced[mapping.uri] || (remotePrefix && (mapping.identifier || []).find(id => id.startsWith(remotePrefix)))
+        // Mapping as it is sent to the remote registry (local URI and timestamp are not transferred)
+        const { uri, modified, ...remoteMapping } = jskos.minifyMapping(mapping) // eslint-disable-line no-unused-vars
+        // Local concordances are not available in the remote registry
+        delete remoteMapping.partOf
+        remoteMapping.identifier = (remoteMapping.identifier || []).filter(id => id !== remoteUri)
+        if (!remoteMapping.identifier.length) {
+          delete remoteMapping.identifier
+        }
+        let remote, status
+        if (!remoteUri) {
+          remote = await registry.postMapping({ ...config, mapping: remoteMapping })
+          status = "created"
+        } else {
+          remote = await registry.getMapping({ ...config, mapping: { uri: remoteUri }, _cache: false })
+          if (!remote) {
+            report.conflicted.push({ mapping, remote, reason: "Remote mapping was deleted." })
+            continue
+          }
+          const localTime = Date.parse(mapping.modified), remoteTime = Date.parse(remote.modified)
+          if (mapping.modified === remote.modified || localTime === remoteTime) {
+            status = "skipped"
+          } else if (isNaN(remoteTime) || localTime > remoteTime) {
+            remote = await registry.putMapping({ ...config, mapping: { ...remoteMapping, uri: remoteUri } })
+            status = "updated"
+          } else {
+            report.conflicted.push({ mapping, remote, reason: "Remote mapping was modified after the local mapping." })
+            continue
+          }
+        }
+        await this._recordSync(registryKey, mapping.uri, strategy === "remove" ? null : remote.uri || remoteUri)
+        if (strategy === "remove") {
+          await this.deleteMapping({ mapping })
+        } else if (status !== "skipped") {
+          // Record remote URI and use remote timestamp so that later changes can be detected
+          await this._updateLocalMapping(mapping.uri, {
+            identifier: [...new Set((mapping.identifier || []).concat(remote.uri))],
+            modified: remote.modified,
+          })
+        }
+        report[status].push(status === "skipped" ? { mapping } : { mapping, remote })
+      } catch (error) {
+        report.failed.push({ mapping, error })
+      }
+    }
+    return report
+  }
+
+  /**
+   * Records the remote URI of a local mapping for a registry (see `syncTo`) or removes it if `remoteUri` is null.
+   *
+   * @private
+   */
+  async _recordSync(registryKey, uri, remoteUri) {
+    let { done } = await this._getMappingsQueue()
+    try {
+      const records = (await this._storage.getItem(this.syncStorageKey)) || {}
+      records[registryKey] ||= {}
+      if (remoteUri) {
+        records[registryKey][uri] = remoteUri
+      } else {
+        delete records[registryKey][uri]
+      }
+      await this._storage.setItem(this.syncStorageKey, records)
+      done()
+    } catch (error) {
+      done()
+      throw error
+    }
+  }
+
+  /**
+   * Updates properties of a local mapping without changing its `modified` timestamp (unless given).
+   *
+   * @private
+   */
+  async _updateLocalMapping(uri, properties) {
+    let { index, done } = await this._getMappingsQueue()
+    try {
+      let localMapping = index.get(uri)
+      if (localMapping) {
+        localMapping = { ...localMapping }
+        for (const key of Object.keys(properties).filter(key => properties[key] !== undefined)) {
+          localMapping[key] = properties[key]
+        }
+        index.add(localMapping)
+        await this._saveIndex()
+      }
+      done()
+      return localMapping
+    } catch (error) {
+      done()
+      throw error
+    }
+  }
 }
 
 LocalMappingsProvider.providerName = "LocalMappings"
 LocalMappingsProvider.stored = true
+LocalMappingsProvider.configSchema = extendSchema(BaseProvider.configSchema, {
+  properties: {
+    storage: { type: ["string", "object"] },
+    storageKey: { type: "string" },
+  },
+})
@@ -397,13 +397,26 @@ export default class MappingsApiProvider extends BaseProvider {
    * Returns a list of concordances.
    *
    * @param {Object} config
+   * @param {number} [config.limit] maximum number of concordances
+   * @param {number} [config.offset] offset
    * @returns {Object[]} array of JSKOS concordance objects
    */
-  async getConcordances(config) {
+  async getConcordances({ limit, offset, ...config } = {}) {
+    const params = {}
+    if (limit) {
+      params.limit = limit
+    }
+    if (offset) {
+      params.offset = offset
+    }
     return this.axios({
       ...config,
       method: "get",
       url: this._api.concordances,
+      params: {
+        ...(config.params || {}),
+        ...params,
+      },
     })
   }
 
@@ -1,4 +1,5 @@
 import BaseProvider from "./base-provider.js"
+import { extendSchema } from "../lib/config-schema.js"
 
 /**
  * MOD API.
@@ -561,3 +562,9 @@ export default class ModApiProvider extends BaseProvider {
     return mappings
   }
 }
+
+ModApiProvider.configSchema = extendSchema(BaseProvider.configSchema, {
+  properties: {
+    cleancontext: { type: "boolean" },
+  },
+})
@@ -3,9 +3,6 @@ import * as errors from "../errors/index.js"
 import jskos from "jskos-tools"
 import FlexSearch from "flexsearch"
 
-// Holds all scheme data (filed by scheme URI as key)
-const data = {}
-
 /**
  * MyCoRe Classification API
  *
@@ -37,6 +34,8 @@ export default class MyCoReProvider extends BaseProvider {
 
   _setup() {
     this._scheme = null
+    // Holds all scheme data (filed by scheme URI as key)
+    this._data = {}
   }
 
   /**
@@ -92,15 +91,15 @@ export default class MyCoReProvider extends BaseProvider {
     }
     const id = category.ID
     const uri = `${scheme.uri}/${id}`
-    if (data[scheme.uri].concepts[uri]) {
-      return data[scheme.uri].concepts[uri]
+    if (this._data[scheme.uri].concepts[uri]) {
+      return this._data[scheme.uri].concepts[uri]
     }
     const prefLabel = {}
     category.labels.filter(l => !l.lang.startsWith("x-") && l.text).forEach(l => {
       // Remove ID from label
       prefLabel[l.lang] = l.text.replace(`${id} `, "")
       // Add prefLabel to search index
-      data[scheme.uri].searchIndex.add(uri, prefLabel[l.lang])
+      this._data[scheme.uri].searchIndex.add(uri, prefLabel[l.lang])
     })
     const scopeNote = {}
     category.labels.filter(l => !l.lang.startsWith("x-") && l.description).forEach(l => {
@@ -109,7 +108,7 @@ export default class MyCoReProvider extends BaseProvider {
       }
       scopeNote[l.lang].push(l.description)
     })
-    data[scheme.uri].concepts[uri] = {
+    this._data[scheme.uri].concepts[uri] = {
       uri,
       notation: [id],
       prefLabel,
@@ -118,7 +117,7 @@ export default class MyCoReProvider extends BaseProvider {
       narrower: (category.categories || []).map(c => ({ uri: `${scheme.uri}/${c.ID}`})),
       broader,
     }
-    return data[scheme.uri].concepts[uri]
+    return this._data[scheme.uri].concepts[uri]
   }
 
   /**
@@ -143,7 +142,7 @@ export default class MyCoReProvider extends BaseProvider {
     })
     this._scheme = this._schemeInfoToJSKOS(schemeInfo)
     const uri = this._scheme.uri
-    data[uri] = {
+    this._data[uri] = {
       schemeInfo,
       searchIndex: FlexSearch.create({
         tokenize: "full",
@@ -156,7 +155,7 @@ export default class MyCoReProvider extends BaseProvider {
       ;(category.categories || []).forEach(c => dealWithCategory(c, { broader: [{ uri: concept.uri }] }))
     }
     schemeInfo.categories.forEach(category => dealWithCategory(category))
-    data[uri].topConcepts = schemeInfo.categories.map(category => this._categoryToJSKOS(category, { scheme: this._scheme }))
+    this._data[uri].topConcepts = schemeInfo.categories.map(category => this._categoryToJSKOS(category, { scheme: this._scheme }))
   }
 
   async getSchemes(config = {}) {
@@ -184,7 +183,7 @@ export default class MyCoReProvider extends BaseProvider {
     if (!jskos.compare(scheme, this._scheme)) {
       throw new errors.InvalidOrMissingParameterError({ parameter: "scheme", message: "Requested vocabulary seems to be unsupported by this API." })
     }
-    return data[this._scheme.uri].topConcepts.map(this._removeNarrower)
+    return this._data[this._scheme.uri].topConcepts.map(this._removeNarrower)
   }
 
   async getConcepts({ concepts, ...config }) {
@@ -194,7 +193,7 @@ export default class MyCoReProvider extends BaseProvider {
     if (!this._scheme) {
       await this.getSchemes(config)
     }
-    return concepts.map(c => data[this._scheme.uri].concepts[c.uri]).map(this._removeNarrower)
+    return concepts.map(c => this._data[this._scheme.uri].concepts[c.uri]).map(this._removeNarrower)
   }
 
   async getAncestors({ concept, ...config }) {
@@ -207,7 +206,7 @@ export default class MyCoReProvider extends BaseProvider {
     if (!this._scheme) {
       await this.getSchemes(config)
     }
-    concept = data[this._scheme.uri].concepts[concept.uri]
+    concept = this._data[this._scheme.uri].concepts[concept.uri]
     const broader = concept && concept.broader && concept.broader[0]
     if (!broader) {
       return []
@@ -225,8 +224,8 @@ export default class MyCoReProvider extends BaseProvider {
     if (!this._scheme) {
       await this.getSchemes(config)
     }
-    concept = data[this._scheme.uri].concepts[concept.uri]
-    return (concept && concept.narrower || []).map(c => data[this._scheme.uri].concepts[c.uri]).map(this._removeNarrower)
+    concept = this._data[this._scheme.uri].concepts[concept.uri]
+    return (concept && concept.narrower || []).map(c => this._data[this._scheme.uri].concepts[c.uri]).map(this._removeNarrower)
   }
 
   /**
@@ -238,7 +237,7 @@ export default class MyCoReProvider extends BaseProvider {
    * @param {number} [config.limit=100] maximum number of search results
    * @returns {Array} array of JSKOS concept objects
    */
-  async search({ search, scheme, limit = 100 }) {
+  async search({ search, scheme, limit = 100, signal }) {
     if (!scheme || !scheme.uri) {
       throw new errors.InvalidOrMissingParameterError({ parameter: "scheme" })
     }
@@ -249,15 +248,15 @@ export default class MyCoReProvider extends BaseProvider {
       throw new errors.InvalidOrMissingParameterError({ parameter: "scheme", message: "Missing scheme URI" })
     }
     if (!this._scheme) {
-      await this.getSchemes()
+      await this.getSchemes({ signal })
     }
     if (!jskos.compare(scheme, this._scheme)) {
       throw new errors.InvalidOrMissingParameterError({ parameter: "scheme", message: "Requested vocabulary seems to be unsupported by this API." })
     }
     // Use Flexsearch to get result URIs from index
-    const result = await data[this._scheme.uri].searchIndex.search(search)
+    const result = await this._data[this._scheme.uri].searchIndex.search(search)
 
-    return result.map(uri => data[this._scheme.uri].concepts[uri]).map(this._removeNarrower).slice(0, limit)
+    return result.map(uri => this._data[this._scheme.uri].concepts[uri]).map(this._removeNarrower).slice(0, limit)
   }
 
   /**
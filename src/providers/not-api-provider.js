@@ -1,6 +1,5 @@
 import BaseProvider from "./base-provider.js"
 import * as errors from "../errors/index.js"
-import axios from "axios"
 import jskos from "jskos-tools"
 
 /**
@@ -27,10 +26,6 @@ import jskos from "jskos-tools"
 }
  */
 
-const cache = {
-  schemes: [],
-}
-
 export default class NoTApiProvider extends BaseProvider {
   // TODO: Can unsupported types be supported later? If not, just remove them here.
   static supports = {
@@ -60,15 +55,21 @@ export default class NoTApiProvider extends BaseProvider {
     }
   }
 
-  async getSchemes() {
-    if (!cache.schemes.length) {
-      const result = await axios.post(this._api.api, {
+  _prepare() {
+    this._cache = {
+      schemes: [],
+    }
+  }
+
+  async getSchemes({ signal, _priority } = {}) {
+    if (!this._cache.schemes.length) {
+      const result = await this.axios.post(this._api.api, {
         query: "query sources { sources { name uri description alternateName } }",
         operationName: "sources",
-      })
-      const schemes = result?.data?.data?.sources || []
+      }, { _skipAdditionalParameters: true, signal, _priority })
+      const schemes = result?.data?.sources || []
       if (schemes.length) {
-        cache.schemes = schemes.map(scheme => {
+        this._cache.schemes = schemes.map(scheme => {
           const jskos = {
             uri: scheme.uri,
             prefLabel: { und: scheme.name },
@@ -85,26 +86,26 @@ export default class NoTApiProvider extends BaseProvider {
         return []
       }
     }
-    return cache.schemes
+    return this._cache.schemes
   }
 
   // async getTop() {
   // }
 
-  async getConcepts({ concepts }) {
+  async getConcepts({ concepts, signal, _priority }) {
     if (!concepts) {
       throw new errors.InvalidOrMissingParameterError({ parameter: "concepts" })
     }
     if (!Array.isArray(concepts)) {
       concepts = [concepts]
     }
-    const result = await axios.post(this._api.api, {
+    const result = await this.axios.post(this._api.api, {
       query: `query { lookup( uris: [${concepts.map(c => `"${c.uri}"`)}], ) { uri source {   ... on Source {     uri   } } result {   ... on Term {     uri     prefLabel     scopeNote     altLabel  broader { uri } narrower { uri } } } } }`,
-    })
-    return (result.data?.data?.lookup || []).map(entry => {
+    }, { _skipAdditionalParameters: true, signal, _priority })
+    return (result?.data?.lookup || []).map(entry => {
       const concept = {
         uri: entry.uri,
-        inScheme: [cache.schemes.find(scheme => jskos.compare(scheme, { uri: entry.source.uri }))],
+        inScheme: [this._cache.schemes.find(scheme => jskos.compare(scheme, { uri: entry.source.uri }))],
       }
       if (entry.result?.prefLabel?.[0]) {
         concept.prefLabel = { und: entry.result.prefLabel[0] }
@@ -142,17 +143,17 @@ export default class NoTApiProvider extends BaseProvider {
     ]
   }
 
-  async search({ scheme, search }) {
+  async search({ scheme, search, signal, _priority }) {
     if (!search) {
       throw new errors.InvalidOrMissingParameterError({ parameter: "search" })
     }
-    if (!scheme || !jskos.isContainedIn(scheme, cache.schemes)) {
+    if (!scheme || !jskos.isContainedIn(scheme, this._cache.schemes)) {
       throw new errors.InvalidOrMissingParameterError({ parameter: "scheme" })
     }
-    const result = await axios.post(this._api.api, {
+    const result = await this.axios.post(this._api.api, {
       query: `query {  terms(    sources: ["${scheme.uri}"]    query: "${search}"  ) {    source {      uri    }     result {      ... on Terms {        terms {          uri          prefLabel          scopeNote        }      }    }  }}`,
-    })
-    return (result.data?.data?.terms?.[0]?.result?.terms || []).map(concept => {
+    }, { _skipAdditionalParameters: true, signal, _priority })
+    return (result?.data?.terms?.[0]?.result?.terms || []).map(concept => {
       const jskos = {
         uri: concept.uri,
         inScheme: [scheme],
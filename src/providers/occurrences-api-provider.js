@@ -3,9 +3,6 @@ import jskos from "jskos-tools"
 import * as errors from "../errors/index.js"
 import { concatUrl, deepEqual } from "../utils/index.js"
 
-// Cache by registry URI
-const cache = {}
-
 // TODO: Modernize.
 
 /**
@@ -33,15 +30,11 @@ export default class OccurrencesApiProvider extends BaseProvider {
     mappings: true,
   }
 
-  get _cache() {
-    return cache[this.uri]
-  }
-
   /**
    * @private
    */
   _prepare() {
-    cache[this.uri] = []
+    this._cache = []
     this._occurrencesSupportedSchemes = []
   }
 
@@ -232,7 +225,7 @@ export default class OccurrencesApiProvider extends BaseProvider {
       data,
     })
     if (this._cache.length > 20) {
-      cache[this.uri] = this._cache.slice(this._cache.length - 20)
+      this._cache = this._cache.slice(this._cache.length - 20)
     }
     return data
   }
@@ -137,7 +137,8 @@ export default class OlsApiProvider extends BaseProvider {
   // #### API REQUESTS ####
 
   // TODO: rename _skipAdditionalParameters
-  async _request(url, config = { _skipAdditionalParameters: true }) {
+  async _request(url, config = {}) {
+    config = { _skipAdditionalParameters: true, ...config }
     if (url) {
       url = new URL(url)
       const given = Object.fromEntries(url.searchParams.entries())
@@ -155,16 +156,16 @@ export default class OlsApiProvider extends BaseProvider {
 
   // API REQUESTS SCHEMES
 
-  async _paginate(base, query, limit) {
+  async _paginate(base, query, limit, config) {
     const size = limit > 0 ? limit : null
     let url = this._getApiUrl(base, { ...query, size })
-    let page = await this._request(url)
+    let page = await this._request(url, config)
     let items = page?.elements || []
     if (!size) {
       const totalPages = page?.totalPages || 0
       for (let n = 1; n < totalPages; n++) {
         url = this._getApiUrl(base, { ...query, page: n })
-        page = await this._request(url)
+        page = await this._request(url, config)
         items = items.concat(page?.elements || [])
       }
     }
@@ -173,8 +174,8 @@ export default class OlsApiProvider extends BaseProvider {
 
   // API REQUESTS CONCEPTS
 
-  async _getConceptOls(concept) {
-    const VOCID = await this._getSchemeVOCID(concept?.inScheme?.[0])
+  async _getConceptOls(concept, config) {
+    const VOCID = await this._getSchemeVOCID(concept?.inScheme?.[0], config)
     if (VOCID) {
       let url = null
       if (concept.notation) {
@@ -182,12 +183,12 @@ export default class OlsApiProvider extends BaseProvider {
       } else if (concept.uri) {
         url = this._getApiUrl(["ontologies", VOCID, "classes"], { iri: concept.uri })
       }
-      let response = await this._request(url)
+      let response = await this._request(url, config)
       return response?.elements?.[0] || null
     }
   }
 
-  async _searchOls(search, scheme, limit, types) {
+  async _searchOls(search, scheme, limit, types, config) {
     let items = []
     const knownTypes = {
       "http://www.w3.org/2002/07/owl#Class": "classes",
@@ -198,11 +199,11 @@ export default class OlsApiProvider extends BaseProvider {
     }
     for (const type of types) {
       if (type in knownTypes) {
-        const VOCID = scheme ? await this._getSchemeVOCID(scheme) : null // if no scheme is given, search in all schemes
+        const VOCID = scheme ? await this._getSchemeVOCID(scheme, config) : null // if no scheme is given, search in all schemes
         const query = { search: search, ontology: VOCID }
         if (!scheme || VOCID) {
           // TODO: how to merge with limit of multiple are included
-          const found = await this._paginate([knownTypes[type]], query, limit)
+          const found = await this._paginate([knownTypes[type]], query, limit, config)
           items.push(...found)
         }
       }
@@ -212,10 +213,10 @@ export default class OlsApiProvider extends BaseProvider {
 
   // UTILITIES
 
-  async _conceptIriFromObj(VOCID, conceptNotation) {
+  async _conceptIriFromObj(VOCID, conceptNotation, config) {
     // https://api.terminology.tib.eu/api/v2/ontologies/envo/classes?curie=BFO:0000001
     let url = this._getApiUrl(["ontologies", VOCID, "classes"], { curie: conceptNotation })
-    let response = await this._request(url)
+    let response = await this._request(url, config)
     if (response && response.elements && response.elements.length > 0) {
       return response.elements[0].iri
     }
@@ -226,34 +227,34 @@ export default class OlsApiProvider extends BaseProvider {
     return this._jskos.language || this.languages[0] || this._defaultLanguages[0] || "en"
   }
 
-  async _getSchemeVOCID(scheme) {
+  async _getSchemeVOCID(scheme, config) {
     return scheme?.VOCID
       ? scheme.VOCID
-      : this._getScheme(scheme).then(s => s?.ontologyId)
+      : this._getScheme(scheme, config).then(s => s?.ontologyId)
   }
 
-  async _getScheme(scheme) {
+  async _getScheme(scheme, config) {
     if (scheme) {
       const { VOCID, uri, notation, identifier } = scheme
       if (VOCID) {
-        return this._request(this._getApiUrl(["ontologies", VOCID]))
+        return this._request(this._getApiUrl(["ontologies", VOCID]), config)
       }
       if (uri) {
-        scheme = await this._getSchemeFromUri(uri)
+        scheme = await this._getSchemeFromUri(uri, config)
         if (scheme) {
           return scheme
         }
       }
       // VOCID is likely the notation
       if (notation?.[0] && (uri || identifier?.length)) {
-        scheme = await this._request(this._getApiUrl(["ontologies", notation[0]]))
+        scheme = await this._request(this._getApiUrl(["ontologies", notation[0]]), config)
         if (scheme.iri === uri || identifier?.includes(scheme.iri)) {
           return scheme
         }
       }
       // Try other URIs 
       for (let id of (identifier || [])) {
-        const found = await this._getSchemeFromUri(id)
+        const found = await this._getSchemeFromUri(id, config)
         if (found) {
           return found
         }
@@ -261,10 +262,10 @@ export default class OlsApiProvider extends BaseProvider {
     }
   }
 
-  async _getSchemeFromUri(uri) {
+  async _getSchemeFromUri(uri, config) {
     if (uri) {
       const url = this._getApiUrl(["ontologies"], { searchFields: "iri", search: uri })
-      const response = await this._request(url)
+      const response = await this._request(url, config)
       const schemes = response?.elements || []
       return schemes.reduce((short, cur) => cur.ontologyId.length < short.ontologyId.length ? cur : short, schemes[0])
     }
@@ -274,73 +275,78 @@ export default class OlsApiProvider extends BaseProvider {
   // MAIN FUNCTIONS
 
   // TODO: query parameter are different: schemes are in "params.uri"?
-  async getSchemes({ schemes, limit }) {
+  async getSchemes({ schemes, limit, signal, _priority }) {
+    const config = { signal, _priority }
     let ontologies = []
 
     if (schemes) {
-      ontologies = (await Promise.all(schemes.map(s => this._getScheme(s)))).filter(Boolean)
+      ontologies = (await Promise.all(schemes.map(s => this._getScheme(s, config)))).filter(Boolean)
     } else if (limit > 0) {
       const url = this._getApiUrl(["ontologies"], { size: limit })
-      const response = await this._request(url)
+      const response = await this._request(url, config)
       ontologies = response.elements || []
     } else {
-      ontologies = await this._paginate(["ontologies"], {})
+      ontologies = await this._paginate(["ontologies"], {}, null, config)
     }
 
     return Promise.all(ontologies.map(scheme => this._ontologyToJSKOS(scheme)))
   }
 
-  async getConcepts({ concepts, scheme, limit }) {
+  async getConcepts({ concepts, scheme, limit, signal, _priority }) {
+    const config = { signal, _priority }
     let result = []
     if (concepts) {
       for (const concept of concepts) {
-        let item = await this._getConceptOls(concept)
+        let item = await this._getConceptOls(concept, config)
         if (item) {
           result.push(await this._termToJSKOS(item))
         }
       }
     } else if (scheme) {
-      const VOCID = await this._getSchemeVOCID(scheme)
+      const VOCID = await this._getSchemeVOCID(scheme, config)
       if (VOCID) {
-        const items = await this._paginate(["ontologies", VOCID, "classes"], {}, limit)
+        const items = await this._paginate(["ontologies", VOCID, "classes"], {}, limit, config)
         result = Promise.all(items.map(item => this._termToJSKOS(item)))
       }
     }
     return result
   }
 
-  async getTop({ scheme }) {
-    const VOCID = await this._getSchemeVOCID(scheme)
+  async getTop({ scheme, signal, _priority }) {
+    const config = { signal, _priority }
+    const VOCID = await this._getSchemeVOCID(scheme, config)
     if (VOCID) {
-      let response = await this._paginate(["ontologies", VOCID, "classes"], { hasDirectParents: "false" }, null)
+      let response = await this._paginate(["ontologies", VOCID, "classes"], { hasDirectParents: "false" }, null, config)
       return Promise.all(response.map(item => this._termToJSKOS(item)))
     }
     return []
   }
 
-  async _splitConcept(concept) {
+  async _splitConcept(concept, config) {
     const obj = {}
     if (concept) {
-      obj.VOCID = await this._getSchemeVOCID(concept?.inScheme?.[0]) // TODO: what if multiple schemes?
-      obj.iri = concept.uri || await this._conceptIriFromObj(obj.VOCID, concept.notation)
+      obj.VOCID = await this._getSchemeVOCID(concept?.inScheme?.[0], config) // TODO: what if multiple schemes?
+      obj.iri = concept.uri || await this._conceptIriFromObj(obj.VOCID, concept.notation, config)
       obj.iri = encodeURIComponent(encodeURIComponent(obj.iri))
     }
     return obj
   }
 
-  async getNarrower({ concept }) {
-    const { VOCID, iri } = await this._splitConcept(concept)
+  async getNarrower({ concept, signal, _priority }) {
+    const config = { signal, _priority }
+    const { VOCID, iri } = await this._splitConcept(concept, config)
     if (VOCID && iri) {
-      const items = await this._paginate(["ontologies", VOCID, "classes", iri, "children"], {}, 0)
+      const items = await this._paginate(["ontologies", VOCID, "classes", iri, "children"], {}, 0, config)
       return Promise.all(items.map(item => this._termToJSKOS(item)))
     }
     return []
   }
 
-  async getAncestors({ concept }) {
-    const { VOCID, iri } = await this._splitConcept(concept)
+  async getAncestors({ concept, signal, _priority }) {
+    const config = { signal, _priority }
+    const { VOCID, iri } = await this._splitConcept(concept, config)
     if (VOCID && iri) {
-      let response = await this._paginate(["ontologies", VOCID, "classes", iri, "ancestors"], {}, null)
+      let response = await this._paginate(["ontologies", VOCID, "classes", iri, "ancestors"], {}, null, config)
       return Promise.all(response.map(item => this._termToJSKOS(item)))
     }
     return []
@@ -362,8 +368,8 @@ export default class OlsApiProvider extends BaseProvider {
     }]
   }
 
-  async search({ search, scheme = null, limit = 0, types = ["http://www.w3.org/2002/07/owl#Class"] }) {
-    let items = await this._searchOls(search, scheme, limit, types)
+  async search({ search, scheme = null, limit = 0, types = ["http://www.w3.org/2002/07/owl#Class"], signal, _priority }) {
+    let items = await this._searchOls(search, scheme, limit, types, { signal, _priority })
     return Promise.all(items.map(item => this._termToJSKOS(item)))
   }
 }
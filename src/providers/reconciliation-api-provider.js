@@ -2,9 +2,7 @@ import BaseProvider from "./base-provider.js"
 import jskos from "jskos-tools"
 import * as errors from "../errors/index.js"
 import { deepEqual } from "../utils/index.js"
-
-// Cache by registry URI
-const cache = {}
+import { extendSchema } from "../lib/config-schema.js"
 
 // TODO: Document namespace etc.
 
@@ -39,15 +37,11 @@ export default class ReconciliationApiProvider extends BaseProvider {
     mappings: true,
   }
 
-  get _cache() {
-    return cache[this.uri]
-  }
-
   /**
    * @private
    */
   _prepare() {
-    cache[this.uri] = []
+    this._cache = []
   }
 
   /**
@@ -208,7 +202,7 @@ export default class ReconciliationApiProvider extends BaseProvider {
     this._cache.push(newCacheEntry)
     // Make sure there are a maximum of 20 entries in cache
     if (this._cache.length > 20) {
-      cache[this.uri] = this._cache.slice(this._cache.length - 20)
+      this._cache = this._cache.slice(this._cache.length - 20)
     }
     return newCacheEntry
   }
@@ -218,3 +212,9 @@ export default class ReconciliationApiProvider extends BaseProvider {
 ReconciliationApiProvider.providerName = "ReconciliationApi"
 ReconciliationApiProvider.providerType = "http://bartoc.org/api-type/reconciliation"
 ReconciliationApiProvider.stored = false
+ReconciliationApiProvider.configSchema = extendSchema(BaseProvider.configSchema, {
+  properties: {
+    schemes: { type: "array", minItems: 1, items: { type: "object" } },
+  },
+  required: ["schemes"],
+})
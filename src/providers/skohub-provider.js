@@ -12,9 +12,6 @@ function decodeUnicode(text) {
   )
 }
 
-// Data by registry URI
-const data = {}
-
 /**
  * SkoHub Vocabs
  *
@@ -50,21 +47,9 @@ export default class SkohubProvider extends BaseProvider {
   }
 
   _prepare() {
-    data[this.uri] = {
-      index: {},
-      conceptCache: {},
-      schemeCache: {},
-    }
-  }
-
-  get _index() {
-    return data[this.uri] && data[this.uri].index 
-  }
-  get _conceptCache() {
-    return data[this.uri] && data[this.uri].conceptCache 
-  }
-  get _schemeCache() {
-    return data[this.uri] && data[this.uri].schemeCache 
+    this._index = {}
+    this._conceptCache = {}
+    this._schemeCache = {}
   }
 
   /**
@@ -243,7 +228,7 @@ export default class SkohubProvider extends BaseProvider {
    * @param {number} [config.limit=100] maximum number of search results
    * @returns {Array} array of JSKOS concept objects
    */
-  async search({ search, scheme, limit = 100 }) {
+  async search({ search, scheme, limit = 100, signal }) {
     scheme = await this._loadScheme({ scheme })
     if (!scheme || !scheme.uri) {
       throw new errors.InvalidOrMissingParameterError({ parameter: "scheme" })
@@ -292,7 +277,7 @@ export default class SkohubProvider extends BaseProvider {
     // 2. Use Flexsearch to get result URIs from index
     const result = index.search(search)
     // 3. Load concept data for results
-    const concepts = await this.getConcepts({ concepts: result.map(uri => ({ uri })) })
+    const concepts = await this.getConcepts({ concepts: result.map(uri => ({ uri })), signal })
     return concepts.slice(0, limit)
   }
 
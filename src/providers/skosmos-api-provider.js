@@ -1,6 +1,7 @@
 import BaseProvider from "./base-provider.js"
 import jskos from "jskos-tools"
 import * as errors from "../errors/index.js"
+import { extendSchema } from "../lib/config-schema.js"
 
 /**
  * Skosmos API.
@@ -505,3 +506,9 @@ export default class SkosmosApiProvider extends BaseProvider {
 
 SkosmosApiProvider.providerName = "SkosmosApi"
 SkosmosApiProvider.providerType = "http://bartoc.org/api-type/skosmos"
+SkosmosApiProvider.configSchema = extendSchema(BaseProvider.configSchema, {
+  properties: {
+    schemes: { type: "array", minItems: 1, items: { type: "object", required: ["VOCID"], properties: { VOCID: { type: "string" } } } },
+  },
+  required: ["schemes"],
+})
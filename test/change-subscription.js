@@ -0,0 +1,35 @@
+import assert from "assert"
+import { diffResults, parseChangeMessage } from "../src/lib/change-subscription.js"
+
+describe("change-subscription", () => {
+
+  it("should compare results by identifier and ignore private properties", () => {
+    const previous = [
+      { uri: "test:1", note: "a", _registry: {} },
+      { uri: "test:2", note: "b" },
+      { id: "3" },
+    ]
+    const current = [
+      { uri: "test:1", note: "a", _registry: { other: true } },
+      { uri: "test:2", note: "c" },
+      { uri: "test:4" },
+    ]
+    assert.deepEqual(diffResults(previous, current), [
+      { type: "update", id: "test:2", object: current[1] },
+      { type: "create", id: "test:4", object: current[2] },
+      { type: "delete", id: "3", object: previous[2] },
+    ])
+    assert.deepEqual(diffResults(current, current), [])
+  })
+
+  it("should parse change messages", () => {
+    const mapping = { uri: "test:1" }
+    assert.deepEqual(parseChangeMessage(JSON.stringify({ type: "create", objectType: "mapping", document: mapping })), { type: "create", id: "test:1", object: mapping })
+    assert.deepEqual(parseChangeMessage({ operationType: "replace", id: "test:1", fullDocument: mapping }), { type: "update", id: "test:1", object: mapping })
+    assert.deepEqual(parseChangeMessage({ type: "delete", id: "test:1" }), { type: "delete", id: "test:1", object: null })
+    assert.equal(parseChangeMessage({ type: "create", objectType: "concordance", document: mapping }, "mapping"), null)
+    assert.equal(parseChangeMessage({ type: "connected" }), null)
+    assert.equal(parseChangeMessage("not json"), null)
+  })
+
+})
@@ -0,0 +1,64 @@
+import assert from "assert"
+import { mergeConfigs, substituteEnv } from "../src/lib/config-merge.js"
+import * as errors from "../src/errors/index.js"
+
+describe("config-merge", () => {
+
+  it("should merge configs and registries by URI", () => {
+    const defaults = {
+      title: "Cocoda",
+      menu: { logo: "logo.png", search: true },
+      languages: ["en", "de"],
+      registries: [
+        { uri: "test:a", provider: "ConceptApi", api: "https://example.org/a/", status: null, schemes: [{ uri: "test:s1" }] },
+        { uri: "test:b", provider: "ConceptApi", api: "https://example.org/b/" },
+        { provider: "LocalMappings" },
+      ],
+    }
+    const site = {
+      title: "Site",
+      menu: { search: null },
+      languages: ["fr"],
+      registries: {
+        "test:a": { api: "https://example.org/a2/", schemes: [{ uri: "test:s2" }] },
+        "test:b": null,
+        "test:c": { provider: "ConceptApi", api: "https://example.org/c/" },
+      },
+    }
+    const user = { registries: [{ uri: "test:d", provider: "ConceptApi" }] }
+    const config = mergeConfigs([defaults, site, user])
+    assert.deepEqual(config, {
+      title: "Site",
+      menu: { logo: "logo.png" },
+      languages: ["fr"],
+      registries: [
+        { uri: "test:a", provider: "ConceptApi", api: "https://example.org/a2/", status: null, schemes: [{ uri: "test:s2" }] },
+        { provider: "LocalMappings" },
+        { uri: "test:c", provider: "ConceptApi", api: "https://example.org/c/" },
+        { uri: "test:d", provider: "ConceptApi" },
+      ],
+    })
+    // Sources are not modified
+    assert.equal(defaults.registries.length, 3)
+    assert.equal(defaults.menu.search, true)
+  })
+
+  it("should append arrays with option arrays: append", () => {
+    const config = mergeConfigs([
+      { languages: ["en"], registries: [{ uri: "test:a", schemes: [{ uri: "test:s1" }] }] },
+      { languages: ["de"], registries: [{ uri: "test:a", schemes: [{ uri: "test:s2" }] }] },
+    ], { arrays: "append" })
+    assert.deepEqual(config.languages, ["en", "de"])
+    assert.deepEqual(config.registries, [{ uri: "test:a", schemes: [{ uri: "test:s1" }, { uri: "test:s2" }] }])
+    assert.throws(() => mergeConfigs([{}], { arrays: "merge" }), errors.InvalidOrMissingParameterError)
+  })
+
+  it("should substitute environment variables", () => {
+    const env = { HOST: "example.org", TOKEN: "abc" }
+    assert.deepEqual(
+      substituteEnv({ api: "https://${HOST}/api/", list: ["${TOKEN}", 1], other: "${UNKNOWN}" }, env),
+      { api: "https://example.org/api/", list: ["abc", 1], other: "${UNKNOWN}" },
+    )
+  })
+
+})
@@ -0,0 +1,92 @@
+import assert from "assert"
+import { parseMappings, serializeMappings, mappingResolver } from "../src/lib/formats.js"
+import * as errors from "../src/errors/index.js"
+
+const schemes = [
+  { uri: "http://example.org/voc1/", notation: ["V1"], namespace: "http://example.org/voc1/" },
+  { uri: "http://example.org/voc2/", notation: ["V2"], namespace: "http://example.org/voc2/" },
+]
+const mappings = [
+  {
+    from: { memberSet: [{ uri: "http://example.org/voc1/a", notation: ["a"], prefLabel: { en: "A" } }] },
+    to: { memberSet: [{ uri: "http://example.org/voc2/b", notation: ["b"], prefLabel: { en: "B, \"quoted\"" } }] },
+    fromScheme: { uri: "http://example.org/voc1/", notation: ["V1"] },
+    toScheme: { uri: "http://example.org/voc2/", notation: ["V2"] },
+    type: ["http://www.w3.org/2004/02/skos/core#exactMatch"],
+    creator: [{ uri: "http://example.org/user", prefLabel: { en: "User" } }],
+    created: "2020-01-01T00:00:00Z",
+  },
+  {
+    from: { memberSet: [{ uri: "http://example.org/voc1/c", notation: ["c"] }] },
+    to: { memberSet: [] },
+    fromScheme: { uri: "http://example.org/voc1/", notation: ["V1"] },
+    toScheme: { uri: "http://example.org/voc2/", notation: ["V2"] },
+  },
+]
+
+describe("formats", () => {
+
+  it("should throw for unsupported formats", () => {
+    assert.throws(() => parseMappings("", { format: "xml" }), errors.InvalidOrMissingParameterError)
+    assert.throws(() => serializeMappings([], { format: "xml" }), errors.InvalidOrMissingParameterError)
+  })
+
+  it("should serialize and parse NDJSON", () => {
+    const data = serializeMappings(mappings, { format: "ndjson" })
+    assert.equal(data.trim().split("\n").length, 2)
+    assert.deepEqual(parseMappings(data, { format: "ndjson" }), mappings)
+    assert.throws(() => parseMappings("{}\n{", { format: "ndjson" }), /line 2/)
+  })
+
+  for (const format of ["csv", "tsv"]) {
+    it(`should serialize and parse ${format.toUpperCase()}`, () => {
+      const data = serializeMappings(mappings, { format })
+      const [header] = data.split("\n")
+      assert.equal(header.split(format == "csv" ? "," : "\t").length, 8)
+      const parsed = parseMappings(data, { format })
+      assert.equal(parsed.length, 2)
+      assert.deepEqual(parsed[0].fromScheme, { notation: ["V1"] })
+      assert.deepEqual(parsed[0].to.memberSet, [{ notation: ["b"], prefLabel: { en: "B, \"quoted\"" } }])
+      assert.deepEqual(parsed[0].type, mappings[0].type)
+      assert.deepEqual(parsed[0].creator, [{ prefLabel: { en: "User" } }])
+      assert.deepEqual(parsed[1].to.memberSet, [])
+      assert.deepEqual(parsed[1].type, ["http://www.w3.org/2004/02/skos/core#mappingRelation"])
+      // Resolve concept URIs via schemes
+      const resolve = mappingResolver(schemes)
+      assert.equal(resolve(parsed[0]).from.memberSet[0].uri, "http://example.org/voc1/a")
+      assert.deepEqual(parsed[0].toScheme, mappings[0].toScheme)
+      assert.throws(() => mappingResolver([])(parseMappings(data, { format })[0]), errors.CDKError)
+    })
+  }
+
+  it("should serialize and parse SSSOM", () => {
+    const data = serializeMappings(mappings, { format: "sssom", schemes, metadata: { mapping_set_id: "http://example.org/set" } })
+    assert.ok(data.includes("#  v1: \"http://example.org/voc1/\""))
+    assert.ok(data.includes("v1:a\tA\tskos:exactMatch\tv2:b"))
+    assert.ok(data.includes("sssom:NoTermFound"))
+    const parsed = parseMappings(data, { format: "sssom" })
+    assert.equal(parsed.length, 2)
+    assert.equal(parsed[0].from.memberSet[0].uri, "http://example.org/voc1/a")
+    assert.deepEqual(parsed[0].toScheme, { uri: "http://example.org/voc2/" })
+    assert.deepEqual(parsed[0].type, mappings[0].type)
+    assert.deepEqual(parsed[0].creator, [{ uri: "http://example.org/user", prefLabel: { en: "User" } }])
+    assert.equal(parsed[0].created, "2020-01-01")
+    assert.deepEqual(parsed[1].to.memberSet, [])
+    // Header with space after "#" and without scheme columns
+    const parsed2 = parseMappings([
+      "# curie_map:",
+      "#   ex: http://example.org/voc1/",
+      "# license: https://creativecommons.org/publicdomain/zero/1.0/",
+      "subject_id\tpredicate_id\tobject_id\tmapping_justification",
+      "ex:x\tskos:closeMatch\thttp://example.org/voc2/y\tsemapv:ManualMappingCuration",
+    ].join("\n"), { format: "sssom" })
+    assert.equal(parsed2[0].from.memberSet[0].uri, "http://example.org/voc1/x")
+    assert.equal(parsed2[0].fromScheme, undefined)
+    // Schemes and notations are determined from URIs
+    const resolved = mappingResolver(schemes)(parsed2[0])
+    assert.equal(resolved.fromScheme.uri, "http://example.org/voc1/")
+    assert.deepEqual(resolved.to.memberSet[0].notation, ["y"])
+    assert.throws(() => parseMappings("subject_id\tobject_id\n", { format: "sssom" }), /predicate_id/)
+  })
+
+})
@@ -1,5 +1,8 @@
 import assert from "assert"
-import { cdk, CocodaSDK, BaseProvider, errors, utils } from "../src/index.js"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import { cdk, CocodaSDK, BaseProvider, LocalMappingsProvider, NoTApiProvider, errors, utils } from "../src/index.js"
 
 // axios mock
 import MockAdapter from "axios-mock-adapter"
@@ -34,6 +37,7 @@ describe("index", () => {
       "createInstance",
       "loadConfig",
       "setConfig",
+      "validateConfig",
       "loadBuildInfo",
       "getRegistryForUri",
       "getServiceForUri",
@@ -209,4 +213,480 @@ describe("index", () => {
     })
   })
 
+
+  it("should load mappings from multiple registries", async () => {
+    const mapping = (from, to) => ({
+      from: { memberSet: [{ uri: from }] },
+      to: { memberSet: [{ uri: to }] },
+    })
+    class MappingProvider1 extends BaseProvider {
+      static providerName = "Mappings1"
+      static supports = { mappings: true }
+      async getMappings({ from }) {
+        return [mapping(from, "b"), mapping(from, "c")]
+      }
+    }
+    class MappingProvider2 extends BaseProvider {
+      static providerName = "Mappings2"
+      static supports = { mappings: true }
+      async getMappings({ from }) {
+        return [mapping(from, "c"), mapping(from, "d")]
+      }
+    }
+    class FailingProvider extends BaseProvider {
+      static providerName = "FailingMappings"
+      static supports = { mappings: true }
+      async getMappings() {
+        throw new errors.BackendError()
+      }
+    }
+    const cdk2 = cdk.createInstance()
+    cdk2.addProvider(MappingProvider1)
+    cdk2.addProvider(MappingProvider2)
+    cdk2.addProvider(FailingProvider)
+    cdk2.setConfig({
+      registries: [
+        { provider: "Mappings1" },
+        { provider: "FailingMappings" },
+        { provider: "Mappings2" },
+        // Does not support mappings
+        { provider: "Base" },
+      ],
+    })
+    const [registry1, failingRegistry, registry2] = cdk2.config.registries
+    const mappings = await cdk2.getMappings({ from: "a" })
+    assert.deepEqual(mappings.map(m => m.to.memberSet[0].uri), ["b", "c", "d"])
+    // Duplicate is taken from first registry
+    assert.equal(mappings[1]._registry, registry1)
+    assert.equal(mappings[2]._registry, registry2)
+    assert.equal(mappings._errors.length, 1)
+    assert.equal(mappings._errors[0].registry, failingRegistry)
+    assert.ok(mappings._errors[0].error instanceof errors.BackendError)
+    // Mappings that only differ in member order or additional member properties are duplicates
+    class MappingProvider3 extends BaseProvider {
+      static providerName = "Mappings3"
+      static supports = { mappings: true }
+      async getMappings() {
+        return [{
+          from: { memberSet: [{ uri: "a", prefLabel: { en: "A" } }] },
+          to: { memberSet: [{ uri: "y" }, { uri: "x", notation: ["X"] }] },
+        }]
+      }
+    }
+    class MappingProvider4 extends BaseProvider {
+      static providerName = "Mappings4"
+      static supports = { mappings: true }
+      async getMappings() {
+        return [{
+          from: { memberSet: [{ uri: "a" }] },
+          to: { memberSet: [{ uri: "x" }, { uri: "y" }] },
+        }]
+      }
+    }
+    cdk2.addProvider(MappingProvider3)
+    cdk2.addProvider(MappingProvider4)
+    cdk2.setConfig({ registries: [{ provider: "Mappings3" }, { provider: "Mappings4" }] })
+    const merged = await cdk2.getMappings({ from: "a" })
+    assert.equal(merged.length, 1)
+    assert.equal(merged[0]._registry, cdk2.config.registries[0])
+  })
+
+
+  it("should import and export mappings", async () => {
+    class SchemesProvider extends BaseProvider {
+      static providerName = "Schemes"
+      static supports = { schemes: true }
+      async getSchemes() {
+        return [
+          { uri: "http://example.org/voc1/", notation: ["V1"], namespace: "http://example.org/voc1/" },
+          { uri: "http://example.org/voc2/", notation: ["V2"], namespace: "http://example.org/voc2/" },
+        ]
+      }
+    }
+    const cdk2 = cdk.createInstance()
+    cdk2.addProvider(SchemesProvider)
+    cdk2.addProvider(LocalMappingsProvider)
+    cdk2.setConfig({
+      registries: [
+        { provider: "Schemes" },
+        { provider: "LocalMappings", uri: "test:local", storage: "memory" },
+      ],
+    })
+    const registry = cdk2.config.registries[1]
+    const csv = [
+      "fromScheme,fromNotation,fromLabel,toScheme,toNotation,toLabel,type,creator",
+      "V1,a,A,V2,b,B,exact,User",
+      "V1,c,C,V2,d,D,close,User",
+      "V9,e,E,V2,f,F,,User",
+    ].join("\n")
+    const report = await cdk2.importMappings({ registry, format: "csv", data: csv, batchSize: 1 })
+    assert.equal(report.created.length, 2)
+    assert.equal(report.failed.length, 1)
+    const mappings = await registry.getMappings({ from: "http://example.org/voc1/a" })
+    assert.equal(mappings.length, 1)
+    assert.equal(mappings[0].to.memberSet[0].uri, "http://example.org/voc2/b")
+    assert.deepEqual(mappings[0].type, ["http://www.w3.org/2004/02/skos/core#exactMatch"])
+    const sssom = await cdk2.exportMappings({ registry, format: "sssom" })
+    assert.ok(sssom.includes("v1:a\t\tskos:exactMatch\tv2:b"))
+    const ndjson = await cdk2.exportMappings({ registry, format: "ndjson", pageSize: 1 })
+    assert.equal(ndjson.trim().split("\n").length, 2)
+    await assert.rejects(cdk2.exportMappings({ registry, format: "xml" }), errors.InvalidOrMissingParameterError)
+  })
+
+  it("should search concepts in multiple registries", async () => {
+    class SearchProvider1 extends BaseProvider {
+      static providerName = "Search1"
+      static supports = { search: true }
+      async search({ search }) {
+        return [{ uri: `${search}:1` }, { uri: `${search}:2` }, { uri: `${search}:3` }]
+      }
+    }
+    class SearchProvider2 extends BaseProvider {
+      static providerName = "Search2"
+      static supports = { search: true }
+      async search({ search }) {
+        return [{ uri: `${search}:4` }, { uri: `${search}:2` }]
+      }
+    }
+    class SlowSearchProvider extends BaseProvider {
+      static providerName = "SlowSearch"
+      static supports = { search: true }
+      async search({ search }) {
+        await new Promise(resolve => setTimeout(resolve, 200))
+        return [{ uri: `${search}:5` }]
+      }
+    }
+    const cdk2 = cdk.createInstance()
+    cdk2.addProvider(SearchProvider1)
+    cdk2.addProvider(SearchProvider2)
+    cdk2.addProvider(SlowSearchProvider)
+    cdk2.setConfig({
+      registries: [
+        { provider: "Search1" },
+        { provider: "SlowSearch" },
+        { provider: "Search2" },
+        // Registry that does not support search
+        { provider: "Base" },
+        // Registry that does not support the scheme
+        { provider: "Search2", schemes: [{ uri: "test:other" }] },
+      ],
+    })
+    const [registry1, slowRegistry, registry2] = cdk2.config.registries
+    const concepts = await cdk2.search({ search: "a", scheme: { uri: "test:scheme" }, timeout: 50 })
+    assert.deepEqual(concepts.map(c => c.uri), ["a:1", "a:4", "a:2", "a:3"])
+    assert.equal(concepts[0]._registry, registry1)
+    assert.equal(concepts[1]._registry, registry2)
+    assert.equal(concepts[2]._registry, registry1)
+    assert.equal(concepts._errors.length, 1)
+    assert.equal(concepts._errors[0].registry, slowRegistry)
+    // Limit
+    assert.equal((await cdk2.search({ search: "a", limit: 2, timeout: 50 })).length, 2)
+  })
+
+  it("should emit events for requests, responses, errors, and retries", async () => {
+    class EventProvider extends BaseProvider {
+      static providerName = "Event"
+      static supports = { concepts: true }
+      async getConcepts({ concepts, ...config }) {
+        return this.axios({ ...config, method: "get", url: "concepts", params: { uri: concepts.map(c => c.uri).join("|") } })
+      }
+      async getTop() {
+        return [{ uri: "test:top" }]
+      }
+    }
+    const cdk2 = cdk.createInstance()
+    cdk2.addProvider(EventProvider)
+    cdk2.setConfig({ registries: [{ provider: "Event", uri: "test:registry", cache: true }] })
+    const [registry] = cdk2.config.registries
+    registry.setRetryConfig({ delay: 5 })
+    const registryMock = new MockAdapter(registry.axios)
+    let requestCount = 0
+    registryMock.onGet("concepts").reply(() => {
+      requestCount += 1
+      return requestCount == 1 ? [503] : requestCount == 2 ? [200, [{ uri: "test:a" }, { uri: "test:b" }]] : [404]
+    })
+    const events = []
+    for (const event of ["request", "response", "error", "retry"]) {
+      cdk2.on(event, payload => events.push({ event, ...payload }))
+    }
+    const concepts = [{ uri: "test:a" }, { uri: "test:b" }]
+    await registry.getConcepts({ concepts })
+    assert.deepEqual(events.map(e => e.event), ["request", "retry", "response"])
+    for (const event of events) {
+      assert.equal(event.method, "getConcepts")
+      assert.equal(event.registry, registry)
+      assert.equal(event.uri, "test:registry")
+    }
+    assert.deepEqual(events[0].params, { concepts })
+    assert.equal(events[1].attempt, 1)
+    assert.equal(events[1].status, 503)
+    assert.equal(events[2].count, 2)
+    assert.equal(events[2].cached, false)
+    assert.equal(typeof events[2].duration, "number")
+    // Cached result
+    events.length = 0
+    await registry.getConcepts({ concepts })
+    assert.deepEqual(events.map(e => [e.event, e.cached]), [["request", undefined], ["response", true]])
+    // Error
+    events.length = 0
+    await assert.rejects(registry.getConcepts({ concepts: [{ uri: "test:c" }] }))
+    assert.deepEqual(events.map(e => [e.event, e.errorClass]), [["request", undefined], ["error", "NotFoundError"]])
+    // Providers that don't use HTTP
+    events.length = 0
+    await registry.getTop({ scheme: { uri: "test:scheme" } })
+    assert.deepEqual(events.map(e => [e.event, e.method, e.count]), [["request", "getTop", undefined], ["response", "getTop", 1]])
+  })
+
+  it("should cancel all requests of an instance", async () => {
+    class SlowProvider extends BaseProvider {
+      static providerName = "Slow"
+      static supports = { concepts: true }
+      async getConcepts({ signal }) {
+        await new Promise(resolve => setTimeout(resolve, 100))
+        signal.throwIfAborted()
+        return []
+      }
+    }
+    const cdk2 = cdk.createInstance()
+    cdk2.addProvider(SlowProvider)
+    cdk2.setConfig({ registries: [{ provider: "Slow" }] })
+    const service = cdk2.initializeService({ provider: "Slow" })
+    const promises = [cdk2.config.registries[0].getConcepts({ concepts: [] }), service.getConcepts({ concepts: [] })]
+    cdk2.cancelAll()
+    for (const promise of promises) {
+      await assert.rejects(promise, errors.CDKError)
+    }
+    assert.equal((await service.getConcepts({ concepts: [] })).length, 0)
+  })
+
+  it("should validate config", () => {
+    const cdk2 = cdk.createInstance()
+    const config = {
+      registries: [
+        { provider: "ConceptApi", uri: "test:valid", api: "https://example.org/", backendTimeout: 100 },
+        { provider: "ConceptApi", uri: "test:invalid", timeout: "long", unknownOption: true },
+        { provider: "Unknown", uri: "test:unknown" },
+        { api: "http://bartoc.org/api-type/jskos", uri: "test:jskos" },
+        { provider: "SkosmosApi", uri: "test:skosmos", schemes: [{ uri: "test:scheme" }] },
+      ],
+    }
+    const { valid, errors: validationErrors, warnings } = cdk2.validateConfig(config)
+    assert.equal(valid, false)
+    assert.deepEqual(validationErrors, [
+      { service: "test:unknown", provider: "Unknown", index: 2, path: "registries[2].provider", message: "unknown provider Unknown" },
+      { service: "test:skosmos", provider: "SkosmosApi", index: 4, path: "registries[4].schemes[0].VOCID", message: "is required" },
+    ])
+    // Type mismatches of generic options are not fatal
+    assert.deepEqual(warnings, [
+      { service: "test:invalid", provider: "ConceptApi", index: 1, path: "registries[1].timeout", message: "must be of type number" },
+      { service: "test:invalid", provider: "ConceptApi", index: 1, path: "registries[1].unknownOption", message: "is not a known property" },
+    ])
+    assert.equal(cdk2.validateConfig({ registries: {} }).valid, false)
+    assert.throws(() => cdk2.setConfig(config), error => error instanceof errors.InvalidConfigError && error.errors.length == 2 && error.message.includes("registries[4].schemes[0].VOCID (test:skosmos)"))
+    // Config with warnings only can be set
+    cdk2.setConfig({ registries: [config.registries[0], config.registries[1], { provider: "ConceptApi", uri: "test:notation", notation: "N" }] })
+    assert.equal(cdk2.config.registries.length, 3)
+  })
+
+  it("should keep services with timeouts when the same config is set again", () => {
+    const cdk2 = cdk.createInstance()
+    const entry = () => ({ provider: "ConceptApi", uri: "test:timeout", api: "https://example.org/", timeout: 1000, backendTimeout: 2000 })
+    cdk2.setConfig({ registries: [entry()] })
+    const [registry] = cdk2.config.registries
+    const changes = []
+    cdk2.on("configChanged", payload => changes.push(payload))
+    cdk2.setConfig({ registries: [entry()] })
+    assert.equal(cdk2.config.registries[0], registry)
+    assert.equal(changes[0].unchanged.length, 1)
+    assert.equal(changes[0].changed.length, 0)
+  })
+
+  it("should keep unchanged services when config is updated", async () => {
+    const cdk2 = cdk.createInstance()
+    const registries = [
+      { provider: "ConceptApi", uri: "test:a", api: "https://example.org/a/" },
+      { provider: "ConceptApi", uri: "test:b", api: "https://example.org/b/" },
+      { provider: "ConceptApi", uri: "test:c", api: "https://example.org/c/" },
+    ]
+    cdk2.setConfig({ registries: registries.map(r => ({ ...r })) })
+    const [a, b, c] = cdk2.config.registries
+    const changes = []
+    cdk2.on("configChanged", payload => changes.push(payload))
+    b.setAuth({ key: "key", bearerToken: "token" })
+    let repeatCalls = 0
+    const repeat = cdk2.repeat({ function: () => repeatCalls += 1, callback: () => {}, interval: 5, service: c })
+    const cancelled = c.getConcepts({ concepts: [{ uri: "test:concept" }] })
+    // a unchanged, b changed, c removed, d added
+    cdk2.setConfig({
+      registries: [
+        { ...registries[0] },
+        { ...registries[1], api: "https://example.org/b2/" },
+        { provider: "ConceptApi", uri: "test:d", api: "https://example.org/d/" },
+      ],
+    })
+    assert.equal(cdk2.config.registries[0], a)
+    assert.notEqual(cdk2.config.registries[1], b)
+    assert.equal(cdk2.config.registries[1]._auth.bearerToken, "token")
+    await assert.rejects(cancelled, errors.CancelledError)
+    assert.ok(repeat.isPaused)
+    const calls = repeatCalls
+    await new Promise(resolve => setTimeout(resolve, 20))
+    assert.equal(repeatCalls, calls)
+    assert.equal(changes.length, 1)
+    const uris = list => list.map(r => r.uri)
+    assert.deepEqual(uris(changes[0].unchanged), ["test:a"])
+    assert.deepEqual(uris(changes[0].changed), ["test:b"])
+    assert.deepEqual(uris(changes[0].removed), ["test:c"])
+    assert.deepEqual(uris(changes[0].added), ["test:d"])
+    // Setting the current config again doesn't change anything
+    cdk2.setConfig(cdk2.config)
+    assert.equal(cdk2.config.registries[0], a)
+    assert.equal(changes[1].unchanged.length, 3)
+  })
+
+  it("should keep the previous services if a config update fails", async () => {
+    const cdk2 = cdk.createInstance()
+    class FailingProvider extends BaseProvider {
+      constructor(registry) {
+        super(registry)
+        throw new Error("Initialization failed")
+      }
+    }
+    FailingProvider.providerName = "Failing"
+    cdk2.addProvider(FailingProvider)
+    const registries = [
+      { provider: "ConceptApi", uri: "test:a", api: "https://example.org/a/" },
+      { provider: "ConceptApi", uri: "test:b", api: "https://example.org/b/" },
+    ]
+    cdk2.setConfig({ registries: registries.map(r => ({ ...r })) })
+    const [a, b] = cdk2.config.registries
+    const repeat = cdk2.repeat({ function: () => {}, callback: () => {}, interval: 5, service: b })
+    assert.throws(() => cdk2.setConfig({
+      registries: [
+        { ...registries[0] },
+        { ...registries[1], api: "https://example.org/b2/" },
+        { provider: "Failing", uri: "test:f" },
+      ],
+    }), /Initialization failed/)
+    assert.deepEqual(cdk2.config.registries, [a, b])
+    // Changed service was not disposed
+    assert.ok(!repeat.isPaused)
+    repeat.stop()
+  })
+
+  it("should load and merge configs from multiple sources", async () => {
+    const cdk2 = cdk.createInstance()
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "cocoda-sdk-"))
+    await fs.promises.writeFile(path.join(dir, "site.json"), JSON.stringify({ registries: [{ uri: "test:a", api: "https://${CDK_HOST}/a/" }] }))
+    const mock = new MockAdapter(cdk2.axios)
+    mock.onGet("https://example.org/cocoda.json").reply(200, {
+      title: "Default",
+      registries: [{ uri: "test:a", provider: "ConceptApi", api: "https://example.org/" }, { uri: "test:b", provider: "ConceptApi" }],
+    })
+    await cdk2.loadConfig([
+      "https://example.org/cocoda.json",
+      path.join(dir, "${CDK_FILE}"),
+      { title: "User", registries: { "test:b": null } },
+    ], { env: { CDK_HOST: "example.com", CDK_FILE: "site.json" } })
+    await fs.promises.rm(dir, { recursive: true })
+    assert.equal(cdk2.config.title, "User")
+    assert.equal(cdk2.config.registries.length, 1)
+    assert.equal(cdk2.config.registries[0]._api.api, "https://example.com/a/")
+  })
+
+  it("should keep providers and caches separate between instances", async () => {
+    class InstanceProvider extends BaseProvider {
+      static providerName = "Instance"
+    }
+    const cdk2 = cdk.createInstance(), cdk3 = cdk.createInstance()
+    cdk2.addProvider(InstanceProvider)
+    assert.equal(cdk2.providers.Instance, InstanceProvider)
+    assert.equal(cdk3.providers.Instance, undefined)
+    assert.ok(cdk3.providers.ConceptApi)
+    assert.throws(() => cdk3.initializeService({ provider: "Instance" }), errors.InvalidProviderError)
+    // Registries for schemes are cached per instance
+    const scheme = { uri: "test:scheme", API: [{ type: "http://bartoc.org/api-type/jskos", url: "https://example.org/api/" }] }
+    const registry = cdk2.registryForScheme({ ...scheme })
+    assert.ok(registry)
+    assert.equal(cdk2.registryForScheme({ ...scheme }), registry)
+    assert.notEqual(cdk3.registryForScheme({ ...scheme }), registry)
+    // Providers with the same URI don't share caches
+    const services = ["test:a", "test:b"].map(schemeUri => {
+      const service = new NoTApiProvider({ uri: "test:not", api: "https://example.org/graphql" })
+      new MockAdapter(service.axios).onPost().reply(200, { data: { sources: [{ uri: schemeUri, name: schemeUri }] } })
+      return service
+    })
+    for (const [index, schemeUri] of ["test:a", "test:b"].entries()) {
+      assert.deepEqual((await services[index].getSchemes()).map(s => s.uri), [schemeUri])
+    }
+  })
+
+  it("should dispose an instance", async () => {
+    class SlowProvider extends BaseProvider {
+      static providerName = "Slow"
+      static supports = { concepts: true }
+      async getConcepts({ signal }) {
+        await new Promise(resolve => setTimeout(resolve, 100))
+        signal.throwIfAborted()
+        return []
+      }
+    }
+    const cdk2 = cdk.createInstance()
+    cdk2.addProvider(SlowProvider)
+    cdk2.setConfig({ registries: [{ provider: "Slow", uri: "test:slow" }] })
+    let events = 0
+    cdk2.on("request", () => events += 1)
+    const promise = cdk2.config.registries[0].getConcepts({ concepts: [] })
+    cdk2.dispose()
+    await assert.rejects(promise, errors.CancelledError)
+    assert.equal(cdk2.config.registries.length, 0)
+    assert.equal(cdk2.getServiceForUri("test:slow"), undefined)
+    cdk2._emit("request", {})
+    assert.equal(events, 1)
+  })
+
+  it("should connect to a login client", async () => {
+    const cdk2 = cdk.createInstance()
+    const client = {
+      listeners: [],
+      addEventListener(type, listener) {
+        this.listeners.push(listener)
+      },
+      removeEventListener(type, listener) {
+        this.listeners = this.listeners.filter(l => l !== listener)
+      },
+      emit(event) {
+        this.listeners.forEach(listener => listener(event))
+      },
+    }
+    const services = ["key", "other"].map(key => cdk2.initializeService({
+      provider: "Base",
+      uri: `test:${key}`,
+      status: { config: { auth: { key }, mappings: { create: { auth: true } } }, mappings: "https://example.org/mappings" },
+    }))
+    await Promise.all(services.map(service => service.init()))
+    services.forEach(service => {
+      service.has.mappings = { read: true, create: true }
+    })
+    const users = []
+    cdk2.on("userChanged", ({ user }) => users.push(user))
+    cdk2.connectLogin(client)
+    const user = { uri: "test:user" }
+    client.emit({ type: "about", publicKey: "key" })
+    client.emit({ type: "login", user })
+    client.emit({ type: "token", token: "token" })
+    assert.equal(cdk2.user, user)
+    assert.equal(services[0]._auth.bearerToken, "token")
+    assert.equal(services[1]._auth.bearerToken, null)
+    assert.equal(cdk2.isAuthorizedFor({ registry: services[0], type: "mappings", action: "create" }), true)
+    assert.equal(cdk2.isAuthorizedFor({ registry: services[1], type: "mappings", action: "create" }), false)
+    client.emit({ type: "logout" })
+    assert.equal(cdk2.user, null)
+    assert.equal(services[0]._auth.bearerToken, null)
+    assert.equal(cdk2.isAuthorizedFor({ registry: services[0], type: "mappings", action: "create" }), false)
+    assert.deepEqual(users, [user, null])
+    cdk2.dispose()
+    assert.equal(client.listeners.length, 0)
+  })
+
 })
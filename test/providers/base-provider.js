@@ -2,6 +2,9 @@ import BaseProvider from "../../src/providers/base-provider.js"
 import assert from "assert"
 import MockAdapter from "axios-mock-adapter"
 import { requestMethods } from "../../src/utils/index.js"
+import * as errors from "../../src/errors/index.js"
+import CocodaSDK from "../../src/lib/CocodaSDK.js"
+import { mock as spies } from "node:test"
 
 describe("BaseProvider", () => {
   let provider, registry = {}, mock
@@ -15,6 +18,10 @@ describe("BaseProvider", () => {
     mock && mock.resetHandlers()
   })
 
+  afterEach(() => {
+    spies.restoreAll()
+  })
+
   it("should initialize without parameters", () => {
     assert.doesNotThrow(() => {
       provider = getProvider() 
@@ -25,7 +32,7 @@ describe("BaseProvider", () => {
     provider = getProvider(registry)
     assert.equal(provider._jskos, registry, "registry property does not refer to registry object")
     assert.deepEqual(provider.languages, [], "languages property is not an empty array")
-    assert.deepEqual(provider._auth, { key: null, bearerToken: null })
+    assert.deepEqual(provider._auth, { key: null, bearerToken: null, getToken: null, onUnauthorized: null })
     assert.notEqual(provider.axios && provider.axios.request, undefined)
   })
 
@@ -229,6 +236,219 @@ describe("BaseProvider", () => {
     assert(requestCount, 1)
   })
 
+  it("should compute retry delays with backoff, jitter, and Retry-After", () => {
+    const error = (status, headers = {}, config = {}) => ({ config: { method: "get", ...config }, request: {}, response: status ? { status, headers } : undefined })
+    provider.setRetryConfig({ jitter: false, maxDelay: 2000 })
+    assert.deepEqual([0, 1, 2].map(count => provider._retryDelay(error(503), count)), [300, 600, 1200])
+    assert.equal(provider._retryDelay(error(503), 3), null)
+    assert.equal(provider._retryDelay(error(404), 0), null)
+    provider.setRetryConfig({ jitter: false, backoff: "linear", baseDelay: 100, count: 10 })
+    assert.deepEqual([0, 1, 2].map(count => provider._retryDelay(error(429), count)), [100, 200, 300])
+    provider.setRetryConfig({ maxDelay: 1000, count: 10 })
+    for (let i = 0; i < 10; i += 1) {
+      const delay = provider._retryDelay(error(503), 5)
+      assert.ok(delay >= 500 && delay <= 1000, `delay ${delay} out of range`)
+    }
+    // Retry-After in seconds or as HTTP date; longer than maxDelay is not retried
+    provider.setRetryConfig()
+    assert.equal(provider._retryDelay(error(429, { "retry-after": "2" }), 0), 2000)
+    assert.equal(provider._retryDelay(error(429, { "retry-after": "60" }), 0), null)
+    assert.ok(provider._retryDelay(error(503, { "retry-after": new Date(Date.now() + 5000).toUTCString() }), 0) <= 5000)
+    provider.setRetryConfig({ retryAfter: false, delay: 5 })
+    assert.equal(provider._retryDelay(error(429, { "retry-after": "60" }), 0), 5)
+    // Network errors only if enabled
+    assert.equal(provider._retryDelay(error(), 0), null)
+    provider.setRetryConfig({ networkErrors: true, delay: 5 })
+    assert.equal(provider._retryDelay(error(), 0), 5)
+    // Write requests only with `_retry: true`, `_retry: false` disables retries
+    assert.equal(provider._retryDelay(error(503, {}, { method: "post" }), 0), null)
+    assert.equal(provider._retryDelay(error(503, {}, { method: "post", _retry: true }), 0), 5)
+    assert.equal(provider._retryDelay(error(503, {}, { _retry: false }), 0), null)
+  })
+
+  it("should retry write requests with `_retry` and throw RateLimitError after retries", async () => {
+    class CustomProvider extends BaseProvider {
+      async postMapping({ mapping, ...config }) {
+        return this.axios({ ...config, method: "post", url: "mappings", data: mapping })
+      }
+      async getMappings(config) {
+        return this.axios({ ...config, method: "get", url: "mappings" })
+      }
+    }
+    const provider = new CustomProvider({})
+    provider.setRetryConfig({ delay: 5 })
+    const mock = new MockAdapter(provider.axios)
+    const bodies = []
+    mock.onPost("mappings").reply(config => {
+      bodies.push(config.data)
+      return bodies.length == 1 ? [503] : [201, JSON.parse(config.data)]
+    })
+    const mapping = await provider.postMapping({ mapping: { uri: "test:mapping" }, _retry: true })
+    assert.equal(mapping.uri, "test:mapping")
+    assert.equal(bodies.length, 2)
+    assert.equal(bodies[0], bodies[1])
+    let requestCount = 0
+    mock.onGet("mappings").reply(() => {
+      requestCount += 1
+      return [429, null, { "retry-after": "0" }]
+    })
+    await assert.rejects(provider.getMappings(), error => error instanceof errors.RateLimitError && error instanceof errors.InvalidRequestError && error.retryAfter === 0)
+    assert.equal(requestCount, 4)
+  })
+
+  it("should track health and open the circuit after repeated failures", async () => {
+    class CustomProvider extends BaseProvider {
+      async getConcepts(config) {
+        return this.axios({ ...config, method: "get", url: "concepts" })
+      }
+    }
+    const cdk = new CocodaSDK()
+    const events = []
+    const listener = ({ registry, health, previousStatus }) => events.push([registry, previousStatus, health.status])
+    cdk.on("serviceHealthChanged", listener)
+    for (const status of ["status", undefined]) {
+      events.length = 0
+      const provider = new CustomProvider({ status, circuitBreaker: { failureThreshold: 2, resetTimeout: 20 } })
+      provider.cdk = cdk
+      provider.setRetryConfig({ count: 0 })
+      const mock = new MockAdapter(provider.axios)
+      let available = true, conceptRequests = 0
+      mock.onGet("status").reply(() => available ? [200, {}] : [503])
+      mock.onGet("concepts").reply(() => {
+        conceptRequests += 1
+        return available ? [200, []] : [500]
+      })
+      assert.equal(provider.health.status, "unknown")
+      await provider.getConcepts({})
+      assert.equal(provider.health.status, "healthy")
+      assert.equal(typeof provider.health.latency, "number")
+      available = false
+      await assert.rejects(provider.getConcepts({}), errors.BackendError)
+      assert.equal(provider.health.status, "degraded")
+      await assert.rejects(provider.getConcepts({}), errors.BackendError)
+      assert.equal(provider.health.status, "unavailable")
+      assert.equal(provider.health.circuit, "open")
+      // Fails fast without request
+      const count = conceptRequests
+      await assert.rejects(provider.getConcepts({}), error => error instanceof errors.CircuitOpenError && error instanceof errors.BackendUnavailableError)
+      assert.equal(conceptRequests, count)
+      available = true
+      await new Promise(resolve => setTimeout(resolve, 40))
+      if (status) {
+        // Service was probed via status endpoint
+        assert.equal(provider.health.circuit, "closed")
+      } else {
+        // Next request is let through
+        assert.equal(provider.health.circuit, "half-open")
+        await provider.getConcepts({})
+      }
+      assert.equal(provider.health.status, "healthy")
+      assert.deepEqual(events.map(([registry, ...statuses]) => (assert.equal(registry, provider), statuses)), [
+        ["unknown", "healthy"],
+        ["healthy", "degraded"],
+        ["degraded", "unavailable"],
+        ["unavailable", "healthy"],
+      ])
+    }
+    cdk.off("serviceHealthChanged", listener)
+    // Circuit breaker can be disabled
+    const provider = new CustomProvider({ circuitBreaker: false })
+    provider.setRetryConfig({ count: 0 })
+    const mock = new MockAdapter(provider.axios)
+    mock.onGet("concepts").reply(503)
+    for (let i = 0; i < 6; i += 1) {
+      await assert.rejects(provider.getConcepts({}), errors.BackendError)
+    }
+    assert.equal(provider.health.circuit, "closed")
+    assert.equal(provider.health.failures, 6)
+  })
+
+  it("should count a retried request only once for the circuit breaker", async () => {
+    class CustomProvider extends BaseProvider {
+      async getConcepts(config) {
+        return this.axios({ ...config, method: "get", url: "concepts" })
+      }
+    }
+    const provider = new CustomProvider({ circuitBreaker: { failureThreshold: 5 } })
+    provider.setRetryConfig({ count: 3, delay: 0 })
+    let requests = 0, available = false
+    new MockAdapter(provider.axios).onGet("concepts").reply(() => {
+      requests += 1
+      return available ? [200, []] : [503]
+    })
+    for (let i = 1; i <= 4; i += 1) {
+      await assert.rejects(provider.getConcepts({}), errors.BackendError)
+      assert.equal(requests, 4 * i)
+      assert.equal(provider.health.failures, i)
+      assert.equal(provider.health.circuit, "closed")
+    }
+    // A request that succeeds after a retry doesn't count as failure
+    requests = 0
+    provider.setRetryConfig({ count: 3, delay: () => {
+      available = true
+      return 0
+    } })
+    await provider.getConcepts({})
+    assert.equal(requests, 2)
+    assert.equal(provider.health.failures, 0)
+    assert.equal(provider.health.status, "healthy")
+  })
+
+  it("should throw specific errors with request details", async () => {
+    class CustomProvider extends BaseProvider {
+      async getConcepts({ concepts, ...config }) {
+        if (!concepts) {
+          throw new errors.InvalidOrMissingParameterError({ parameter: "concepts" })
+        }
+        return this.axios({ ...config, method: "get", url: "https://example.org/concepts", params: { uri: concepts[0].uri }, _skipAdditionalParameters: true })
+      }
+    }
+    const provider = new CustomProvider({ uri: "test:registry", circuitBreaker: false })
+    provider.setRetryConfig({ count: 0 })
+    const mock = new MockAdapter(provider.axios)
+    const cases = [
+      [401, errors.AuthenticationError],
+      [403, errors.ForbiddenError],
+      [404, errors.NotFoundError],
+      [409, errors.ConflictError],
+      [422, errors.InvalidRequestError],
+      [429, errors.RateLimitError],
+      [502, errors.BackendError],
+    ]
+    for (const [status, ErrorClass] of cases) {
+      const body = { error: "SomeError", status, message: `Error ${status} from server` }
+      mock.onGet("https://example.org/concepts").replyOnce(status, body)
+      await assert.rejects(provider.getConcepts({ concepts: [{ uri: "test:a" }] }), error => {
+        assert.ok(error instanceof ErrorClass, `expected ${ErrorClass.name} for ${status}, got ${error.name}`)
+        assert.equal(error.name, ErrorClass.name)
+        assert.equal(error.message, body.message)
+        assert.equal(error.code, status)
+        assert.deepEqual(error.data, body)
+        assert.equal(error.url, "https://example.org/concepts?uri=test%3Aa")
+        assert.equal(error.method, "getConcepts")
+        assert.equal(error.service, "test:registry")
+        assert.deepEqual(JSON.parse(JSON.stringify(error)), {
+          name: ErrorClass.name,
+          message: body.message,
+          code: status,
+          url: error.url,
+          method: "getConcepts",
+          service: "test:registry",
+          data: body,
+        })
+        return true
+      })
+    }
+    // Without error body, the original message is used
+    mock.onGet("https://example.org/concepts").replyOnce(404)
+    await assert.rejects(provider.getConcepts({ concepts: [{ uri: "test:a" }] }), error => error instanceof errors.NotFoundError && error.data === null && error.message === "Request failed with status code 404")
+    // Timeouts
+    mock.onGet("https://example.org/concepts").timeoutOnce()
+    await assert.rejects(provider.getConcepts({ concepts: [{ uri: "test:a" }] }), error => error instanceof errors.TimeoutError && error instanceof errors.BackendUnavailableError)
+    // Errors thrown by providers get method and service
+    await assert.rejects(provider.getConcepts({}), error => error instanceof errors.InvalidOrMissingParameterError && error.method === "getConcepts" && error.service === "test:registry")
+  })
+
   it("should not repeat the same axios request is one is already there", async () => {
     class CustomProvider extends BaseProvider {
       async getMappings() {
@@ -256,6 +476,237 @@ describe("BaseProvider", () => {
     assert.equal(mockCalled, 2, "expected axios to perform a new request after other requests are finished")
   })
 
+  it("should cancel requests via signal, promise.cancel, and cancelAll", async () => {
+    let signals = []
+    class CustomProvider extends BaseProvider {
+      async getMappings(config) {
+        signals.push(config.signal)
+        return this.axios({
+          ...config,
+          method: "get",
+          url: "mappings",
+        })
+      }
+    }
+    const provider = new CustomProvider({})
+    const mock = new MockAdapter(provider.axios)
+    mock.onGet("mappings").reply(() => new Promise(resolve => setTimeout(() => resolve([200, []]), 50)))
+    const consoleError = spies.method(console, "error", () => {})
+    const isCancelled = error => error instanceof errors.CancelledError && error.message === "Request was cancelled."
+    // Signal given by the caller
+    const controller = new AbortController()
+    const promise1 = provider.getMappings({ signal: controller.signal })
+    // Requests with different signals are not deduplicated
+    const promise2 = provider.getMappings({})
+    assert.notEqual(promise1, promise2)
+    assert.equal(provider.getMappings({ signal: controller.signal }), promise1)
+    controller.abort()
+    await assert.rejects(promise1, isCancelled)
+    await assert.doesNotReject(promise2)
+    // The method gets its own signal which is aborted as well
+    assert.notEqual(signals[0], controller.signal)
+    assert.ok(signals[0].aborted)
+    // Already aborted signal
+    await assert.rejects(provider.getMappings({ signal: controller.signal }), isCancelled)
+    // promise.cancel
+    const promise3 = provider.getMappings({ limit: 1 })
+    promise3.cancel()
+    await assert.rejects(promise3, isCancelled)
+    // cancelAll
+    const promises = [provider.getMappings({ limit: 2 }), provider.getMappings({ limit: 3 })]
+    provider.cancelAll()
+    for (const promise of promises) {
+      await assert.rejects(promise, isCancelled)
+    }
+    assert.equal(provider._abortControllers.size, 0)
+    await assert.doesNotReject(provider.getMappings({ limit: 2 }))
+    // Listeners on the caller's signal are removed once the request is done
+    const longLived = new AbortController()
+    const addListener = spies.method(longLived.signal, "addEventListener")
+    const removeListener = spies.method(longLived.signal, "removeEventListener")
+    await provider.getMappings({ signal: longLived.signal, limit: 4 })
+    assert.equal(addListener.mock.callCount(), 1)
+    assert.equal(removeListener.mock.callCount(), 1)
+    assert.equal(removeListener.mock.calls[0].arguments[1], addListener.mock.calls[0].arguments[1])
+    assert.equal(consoleError.mock.callCount(), 0, "cancelled requests should not be logged")
+  })
+
+  it("should cache results of request methods if enabled", async () => {
+    class CustomProvider extends BaseProvider {
+      async getConcepts({ concepts, ...config }) {
+        return this.axios({
+          ...config,
+          method: "get",
+          url: "concepts",
+          params: { uri: concepts.map(c => c.uri).join("|") },
+        })
+      }
+      async postMapping({ mapping, ...config }) {
+        return this.axios({
+          ...config,
+          method: "post",
+          url: "mappings",
+          data: mapping,
+        })
+      }
+    }
+    const provider = new CustomProvider({ uri: "test:cache", cache: { ttl: { getConcepts: 1000 } } })
+    const mock = new MockAdapter(provider.axios)
+    let mockCalled = 0
+    mock.onGet("concepts").reply(() => {
+      mockCalled += 1
+      return [200, [{ uri: "test:a" }], { "x-total-count": 1 }]
+    })
+    mock.onPost("mappings").reply(201, {})
+    let result = await provider.getConcepts({ concepts: [{ uri: "test:a" }] })
+    assert.equal(mockCalled, 1)
+    result = await provider.getConcepts({ concepts: [{ uri: "test:a", _registry: provider }] })
+    assert.equal(mockCalled, 1, "expected result to be taken from cache")
+    assert.equal(result[0].uri, "test:a")
+    assert.equal(result[0]._registry, provider, "expected cached result to be adjusted")
+    assert.equal(result._totalCount, 1)
+    // Opt out of cache for a single request
+    await provider.getConcepts({ concepts: [{ uri: "test:a" }], _cache: false })
+    assert.equal(mockCalled, 2)
+    // Different parameters
+    await provider.getConcepts({ concepts: [{ uri: "test:b" }] })
+    assert.equal(mockCalled, 3)
+    // Write requests clear the cache
+    await provider.postMapping({ mapping: {} })
+    await provider.getConcepts({ concepts: [{ uri: "test:a" }] })
+    assert.equal(mockCalled, 4)
+    // Clear cache manually
+    await provider.clearCache()
+    await provider.getConcepts({ concepts: [{ uri: "test:a" }] })
+    assert.equal(mockCalled, 5)
+    // Disable cache
+    provider.setCacheConfig(false)
+    await provider.getConcepts({ concepts: [{ uri: "test:a" }] })
+    assert.equal(mockCalled, 6)
+  })
+
+  it("should build cache keys for concepts with circular references", async () => {
+    class CustomProvider extends BaseProvider {
+      async getNarrower({ concept, ...config }) {
+        return this.axios({
+          ...config,
+          method: "get",
+          url: "narrower",
+          params: { uri: concept.uri },
+        })
+      }
+    }
+    const provider = new CustomProvider({ uri: "test:cache", cache: true })
+    let mockCalled = 0
+    new MockAdapter(provider.axios).onGet("narrower").reply(() => {
+      mockCalled += 1
+      return [200, []]
+    })
+    const parent = { uri: "test:parent" }, child = { uri: "test:child", broader: [parent] }
+    parent.narrower = [child]
+    await provider.getNarrower({ concept: parent })
+    await provider.getNarrower({ concept: parent })
+    assert.equal(mockCalled, 1, "expected result to be taken from cache")
+    await provider.getNarrower({ concept: child })
+    assert.equal(mockCalled, 2)
+  })
+
+  it("should respect cache TTL and size limits", async () => {
+    class CustomProvider extends BaseProvider {
+      async getNarrower({ concept, ...config }) {
+        return this.axios({
+          ...config,
+          method: "get",
+          url: "narrower",
+          params: { uri: concept.uri },
+        })
+      }
+    }
+    const provider = new CustomProvider({ uri: "test:cache2", cache: { ttl: 20, maxEntries: 1 } })
+    const mock = new MockAdapter(provider.axios)
+    let mockCalled = 0
+    mock.onGet("narrower").reply(() => {
+      mockCalled += 1
+      return [200, []]
+    })
+    await provider.getNarrower({ concept: { uri: "test:a" } })
+    await provider.getNarrower({ concept: { uri: "test:a" } })
+    assert.equal(mockCalled, 1)
+    // Second entry evicts first entry
+    await provider.getNarrower({ concept: { uri: "test:b" } })
+    await provider.getNarrower({ concept: { uri: "test:a" } })
+    assert.equal(mockCalled, 3)
+    // Expired entries are not used
+    await new Promise(resolve => setTimeout(resolve, 30))
+    await provider.getNarrower({ concept: { uri: "test:a" } })
+    assert.equal(mockCalled, 4)
+  })
+
+  it("should iterate over paginated results", async () => {
+    const total = 25
+    class CustomProvider extends BaseProvider {
+      async getMappings({ offset, limit, ...config }) {
+        return this.axios({
+          ...config,
+          method: "get",
+          url: "mappings",
+          params: { offset, limit },
+        })
+      }
+    }
+    const provider = new CustomProvider({})
+    const mock = new MockAdapter(provider.axios)
+    const requests = []
+    let sendTotalCount = true
+    mock.onGet("mappings").reply(({ params }) => {
+      requests.push(params)
+      const mappings = []
+      for (let i = params.offset; i < Math.min(params.offset + params.limit, total); i += 1) {
+        mappings.push({ uri: `test:${i}` })
+      }
+      return [200, mappings, sendTotalCount ? { "x-total-count": total } : {}]
+    })
+    let uris = []
+    for await (const mapping of provider.iterate("getMappings", { pageSize: 10 })) {
+      uris.push(mapping.uri)
+    }
+    assert.equal(uris.length, total)
+    assert.equal(uris[total - 1], `test:${total - 1}`)
+    assert.deepEqual(requests.map(r => r.offset), [0, 10, 20])
+    // Without total count, stop on a short page
+    requests.length = 0
+    sendTotalCount = false
+    uris = []
+    for await (const mapping of provider.iterate("getMappings", { pageSize: 5, offset: 10 })) {
+      uris.push(mapping.uri)
+    }
+    assert.equal(uris.length, total - 10)
+    assert.deepEqual(requests.map(r => r.offset), [10, 15, 20, 25])
+    // Cancel iteration
+    const source = provider.getCancelTokenSource()
+    uris = []
+    await assert.rejects(async () => {
+      for await (const mapping of provider.iterate("getMappings", { pageSize: 5, cancelToken: source.token })) {
+        uris.push(mapping.uri)
+        source.cancel()
+      }
+    })
+    assert.equal(uris.length, 5)
+    // Stop if the method ignores offset
+    class IgnoreOffsetProvider extends BaseProvider {
+      async getMappings({ limit }) {
+        return Array.from({ length: limit }, (_, i) => ({ uri: `test:${i}` }))
+      }
+    }
+    uris = []
+    for await (const mapping of new IgnoreOffsetProvider({}).iterate("getMappings", { pageSize: 5 })) {
+      uris.push(mapping.uri)
+    }
+    assert.equal(uris.length, 5)
+    // Only list-returning methods are supported
+    await assert.rejects(() => provider.iterate("getMapping").next())
+  })
+
   it("should properly handle `stored` property", () => {
     let provider
 
@@ -270,4 +721,197 @@ describe("BaseProvider", () => {
     assert.equal(provider.stored, false)
   })
 
+  it("should refresh the token once on 401 and report if re-login is needed", async () => {
+    class CustomProvider extends BaseProvider {
+      async postMapping({ mapping, ...config }) {
+        return this.axios({ ...config, method: "post", url: "mappings", data: mapping })
+      }
+    }
+    const cdk = new CocodaSDK()
+    const unauthorized = []
+    cdk.on("unauthorized", ({ registry }) => unauthorized.push(registry))
+    const provider = cdk.initializeService({ provider: "Base" })
+    const custom = new CustomProvider()
+    custom.cdk = cdk
+    custom.has.auth = true
+    let validToken = "new", tokenRequests = 0
+    const authorizations = []
+    new MockAdapter(custom.axios).onPost("mappings").reply(config => {
+      authorizations.push(config.headers.Authorization)
+      return config.headers.Authorization === `Bearer ${validToken}` ? [201, config.data] : [401]
+    })
+    const hookCalls = []
+    custom.setAuth({
+      key: "key",
+      bearerToken: "old",
+      getToken: async () => {
+        tokenRequests += 1
+        await new Promise(resolve => setTimeout(resolve, 5))
+        return tokenRequests == 1 ? "new" : null
+      },
+      onUnauthorized: ({ registry }) => hookCalls.push(registry),
+    })
+    provider._config = { auth: { key: "key" } }
+    // Concurrent requests share one token request, write requests are replayed
+    const results = await Promise.all([1, 2].map(id => custom.postMapping({ mapping: { id } })))
+    assert.deepEqual(results.map(r => r.id), [1, 2])
+    assert.equal(tokenRequests, 1)
+    assert.deepEqual(authorizations, ["Bearer old", "Bearer old", "Bearer new", "Bearer new"])
+    // New token is shared with services of the same login server
+    assert.equal(provider._auth.bearerToken, "new")
+    assert.deepEqual(hookCalls, [])
+    // No fresh token available
+    validToken = "other"
+    await assert.rejects(custom.postMapping({ mapping: {} }), errors.AuthenticationError)
+    assert.equal(tokenRequests, 2)
+    assert.deepEqual(hookCalls, [custom])
+    assert.deepEqual(unauthorized, [custom])
+  })
+
+  it("should set credentials for all services of a login server via cdk.setAuth", async () => {
+    const cdk = new CocodaSDK()
+    const [service1, service2, other] = ["key", "key", "other"].map(key => cdk.initializeService({ provider: "Base", status: { config: { auth: { key } } } }))
+    await service1.init()
+    cdk.setAuth({ key: "key", bearerToken: "token" })
+    assert.equal(service1._auth.bearerToken, "token")
+    assert.equal(other._auth.bearerToken, null)
+    // Services that are initialized later get the credentials after init
+    assert.equal(service2._auth.bearerToken, null)
+    await service2.init()
+    await other.init()
+    assert.equal(service2._auth.bearerToken, "token")
+    assert.equal(service2._auth.key, "key")
+    assert.equal(other._auth.bearerToken, null)
+    assert.throws(() => cdk.setAuth({ bearerToken: "token" }), errors.InvalidOrMissingParameterError)
+  })
+
+  it("should add credentials from auth config only for allowed origins", async () => {
+    const requests = []
+    const request = async (auth, url) => {
+      const provider = new BaseProvider({ api: "https://api.example.org/", auth })
+      provider.setRetryConfig({ count: 0 })
+      new MockAdapter(provider.axios).onAny().reply(config => {
+        requests.push(config)
+        return config.url.endsWith("error") ? [404] : [200, []]
+      })
+      return provider.axios({ method: "get", url, _skipAdditionalParameters: true })
+    }
+    await request({ type: "bearer", token: "abc" }, "https://api.example.org/concepts")
+    assert.equal(requests.at(-1).headers.Authorization, "Bearer abc")
+    await request({ type: "basic", username: "user", password: "päss" }, "https://api.example.org/concepts")
+    assert.equal(requests.at(-1).headers.Authorization, `Basic ${Buffer.from("user:päss").toString("base64")}`)
+    await request({ type: "apiKey", name: "X-API-Key", value: "key" }, "https://api.example.org/concepts")
+    assert.equal(requests.at(-1).headers["X-API-Key"], "key")
+    await request({ type: "header", headers: { "X-Custom": "value" } }, "https://api.example.org/concepts")
+    assert.equal(requests.at(-1).headers["X-Custom"], "value")
+    // API key in query is not exposed in result URL or errors
+    const result = await request({ type: "apiKey", name: "apikey", value: "secret", in: "query" }, "https://api.example.org/concepts")
+    assert.equal(requests.at(-1).params.apikey, "secret")
+    assert.ok(!result._url.includes("secret"))
+    const provider = new BaseProvider({ api: "https://api.example.org/", auth: { type: "apiKey", name: "apikey", value: "secret", in: "query" } })
+    provider.setRetryConfig({ count: 0 })
+    new MockAdapter(provider.axios).onAny().reply(404)
+    const error = await provider._request("https://api.example.org/error").catch(error => provider._toCDKError(error, { method: "getConcepts" }))
+    assert.ok(error.url.startsWith("https://api.example.org/error") && !error.url.includes("secret"))
+    // No credentials for other hosts or relative URLs
+    for (const url of ["https://other.example.org/concepts", "concepts"]) {
+      await request({ type: "bearer", token: "abc" }, url)
+      assert.equal(requests.at(-1).headers.Authorization, undefined)
+    }
+    // Explicit origins
+    await request({ type: "bearer", token: "abc", origins: ["https://other.example.org"] }, "https://other.example.org/concepts")
+    assert.equal(requests.at(-1).headers.Authorization, "Bearer abc")
+    await request({ type: "bearer", token: "abc", origins: ["https://other.example.org"] }, "https://api.example.org/concepts")
+    assert.equal(requests.at(-1).headers.Authorization, undefined)
+    // Invalid configs
+    assert.throws(() => new BaseProvider({ auth: { type: "oauth" } }), errors.InvalidOrMissingParameterError)
+    assert.throws(() => new BaseProvider({ auth: { type: "apiKey", name: "key" } }), errors.InvalidOrMissingParameterError)
+  })
+
+  it("should subscribe to changes via WebSocket change stream", async () => {
+    const sockets = []
+    class FakeWebSocket {
+      constructor(url) {
+        this.url = url
+        sockets.push(this)
+      }
+      close() {
+        this.closed = true
+      }
+    }
+    const { WebSocket } = globalThis
+    globalThis.WebSocket = FakeWebSocket
+    try {
+      const provider = new BaseProvider({ mappings: "https://api.example.org/mappings", changes: true, status: {} })
+      const changes = []
+      const subscription = provider.subscribe({ type: "mappings", filter: { from: { uri: "test:c" } } }, change => changes.push(change))
+      await provider.init()
+      assert.equal(subscription.mode, "websocket")
+      assert.equal(sockets[0].url, "wss://api.example.org/mappings/changes?from=test%3Ac")
+      const mapping = { uri: "test:m", from: { memberSet: [{ uri: "test:c" }] }, to: { memberSet: [] } }
+      sockets[0].onmessage({ data: JSON.stringify({ type: "create", objectType: "mapping", document: mapping }) })
+      sockets[0].onmessage({ data: JSON.stringify({ type: "update", objectType: "mapping", document: mapping }) })
+      sockets[0].onmessage({ data: JSON.stringify({ type: "delete", objectType: "mapping", id: "test:m" }) })
+      assert.deepEqual(changes.map(({ type, id }) => [type, id]), [["create", "test:m"], ["update", "test:m"], ["delete", "test:m"]])
+      // Objects are adjusted
+      assert.equal(changes[0].object._registry, provider)
+      // Reconnect after connection was closed
+      const clock = { setTimeout: globalThis.setTimeout }
+      globalThis.setTimeout = (fn) => clock.setTimeout(fn, 0)
+      try {
+        sockets[0].onclose()
+        await new Promise(resolve => clock.setTimeout(resolve, 5))
+      } finally {
+        globalThis.setTimeout = clock.setTimeout
+      }
+      assert.equal(sockets.length, 2)
+      provider.dispose()
+      assert.ok(!subscription.active && sockets[1].closed)
+      assert.equal(provider._subscriptions.size, 0)
+    } finally {
+      globalThis.WebSocket = WebSocket
+    }
+  })
+
+  it("should subscribe to changes via polling if there is no change stream", async () => {
+    let mappings = [{ uri: "test:1" }, { uri: "test:2" }]
+    class MappingsProvider extends BaseProvider {
+      async getMappings() {
+        return this.axios({ method: "get", url: this._api.mappings })
+      }
+    }
+    const provider = new MappingsProvider({ mappings: "https://api.example.org/mappings", status: {} })
+    new MockAdapter(provider.axios).onGet().reply(() => [200, mappings])
+    const changes = []
+    const subscription = provider.subscribe({ type: "mappings", interval: 10 }, change => changes.push(change))
+    await new Promise(resolve => setTimeout(resolve, 5))
+    assert.equal(subscription.mode, "polling")
+    mappings = [{ uri: "test:1", note: "changed" }, { uri: "test:3" }]
+    await new Promise(resolve => setTimeout(resolve, 30))
+    subscription.unsubscribe()
+    assert.deepEqual(changes.map(({ type, id }) => [type, id]), [["update", "test:1"], ["create", "test:3"], ["delete", "test:2"]])
+    assert.throws(() => provider.subscribe({ type: "concepts" }, () => {}), errors.InvalidOrMissingParameterError)
+    assert.throws(() => provider.subscribe({ type: "mappings" }), errors.InvalidOrMissingParameterError)
+  })
+
+  it("should poll all pages of results when subscribing to changes", async () => {
+    const mappings = Array.from({ length: 150 }, (_, i) => ({ uri: `test:${i}` }))
+    class MappingsProvider extends BaseProvider {
+      async getMappings({ offset = 0, limit }) {
+        const result = mappings.slice(offset, offset + limit)
+        result._totalCount = mappings.length
+        return result
+      }
+    }
+    const provider = new MappingsProvider({ status: {} })
+    const changes = []
+    const subscription = provider.subscribe({ type: "mappings", interval: 10 }, change => changes.push(change))
+    await new Promise(resolve => setTimeout(resolve, 5))
+    mappings[120] = { uri: "test:120", note: "changed" }
+    mappings.push({ uri: "test:150" })
+    await new Promise(resolve => setTimeout(resolve, 30))
+    subscription.unsubscribe()
+    assert.deepEqual(changes.map(({ type, id }) => [type, id]), [["update", "test:120"], ["create", "test:150"]])
+  })
+
 })
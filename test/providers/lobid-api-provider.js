@@ -0,0 +1,47 @@
+import LobidApiProvider from "../../src/providers/lobid-api-provider.js"
+import LocApiProvider from "../../src/providers/loc-api-provider.js"
+import * as errors from "../../src/errors/index.js"
+import assert from "assert"
+import MockAdapter from "axios-mock-adapter"
+
+describe("LobidApiProvider", () => {
+
+  it("should pass signal and priority to HTTP requests so that cancelled requests are aborted", async () => {
+    const registry = new LobidApiProvider({ uri: "test:lobid", status: {} })
+    registry.setRequestLimits({ maxConcurrentRequests: 1 })
+    const requests = []
+    new MockAdapter(registry.axios).onGet().reply(config => {
+      requests.push(config)
+      if (config.params?.q?.includes("test:a")) {
+        // Hang until the request is aborted
+        return new Promise(resolve => config.signal.addEventListener("abort", () => resolve([200, { member: [] }])))
+      }
+      return [200, config.params?.format === "json:suggest" ? [] : { member: [] }]
+    })
+    const promise = registry.getNarrower({ concept: { uri: "test:a" } })
+    await new Promise(resolve => setTimeout(resolve, 5))
+    registry.cancelAll()
+    await assert.rejects(promise, errors.CancelledError)
+    assert.ok(requests[0].signal.aborted, "expected HTTP request to be aborted")
+    // Request queue slot was released
+    await registry.getNarrower({ concept: { uri: "test:b" } })
+    // Priority of interactive methods is passed on
+    await registry.suggest({ search: "test" })
+    assert.equal(requests.at(-1)._priority, 1)
+  })
+
+  it("should pass signal to HTTP requests of LocApiProvider", async () => {
+    const registry = new LocApiProvider({ uri: "test:loc", status: {} })
+    const requests = []
+    new MockAdapter(registry.axios).onGet().reply(config => {
+      requests.push(config)
+      return new Promise(resolve => config.signal.addEventListener("abort", () => resolve([200, []])))
+    })
+    const promise = registry.getConcepts({ concepts: [{ uri: "http://id.loc.gov/authorities/subjects/sh85000001" }] })
+    await new Promise(resolve => setTimeout(resolve, 5))
+    promise.cancel()
+    await assert.rejects(promise, errors.CancelledError)
+    assert.ok(requests[0].signal.aborted, "expected HTTP request to be aborted")
+  })
+
+})
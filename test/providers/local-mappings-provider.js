@@ -0,0 +1,371 @@
+import LocalMappingsProvider from "../../src/providers/local-mappings-provider.js"
+import MappingsApiProvider from "../../src/providers/mappings-api-provider.js"
+import { MemoryStorage, FileStorage } from "../../src/lib/storage.js"
+import assert from "assert"
+import MockAdapter from "axios-mock-adapter"
+import fs from "fs"
+import os from "os"
+import path from "path"
+
+const mapping = (from, to) => ({
+  from: { memberSet: [{ uri: from }] },
+  to: { memberSet: [{ uri: to }] },
+  fromScheme: { uri: "test:fromScheme" },
+  toScheme: { uri: "test:toScheme" },
+})
+
+describe("LocalMappingsProvider", () => {
+
+  it("should create, read, update, and delete mappings in memory", async () => {
+    const registry = new LocalMappingsProvider({ uri: "test:local", storage: "memory" })
+    const created = await registry.postMapping({ mapping: mapping("test:a", "test:b") })
+    assert.ok(created.uri.startsWith("urn:uuid:"))
+    assert.ok(created.created)
+    let mappings = await registry.getMappings()
+    assert.equal(mappings.length, 1)
+    assert.equal(mappings[0].uri, created.uri)
+    assert.equal(mappings[0]._registry, registry)
+    await registry.putMapping({ mapping: { ...mapping("test:a", "test:c"), uri: created.uri } })
+    mappings = await registry.getMappings({ to: "test:c" })
+    assert.equal(mappings.length, 1)
+    await registry.deleteMapping({ mapping: created })
+    mappings = await registry.getMappings()
+    assert.equal(mappings.length, 0)
+  })
+
+  it("should use configurable storage keys", async () => {
+    const storage = new MemoryStorage()
+    const registry1 = new LocalMappingsProvider({ uri: "test:local1", storage, storageKey: "key1" })
+    const registry2 = new LocalMappingsProvider({ uri: "test:local2", storage, storageKey: "key2" })
+    await registry1.postMapping({ mapping: mapping("test:a", "test:b") })
+    assert.equal((await registry1.getMappings()).length, 1)
+    assert.equal((await registry2.getMappings()).length, 0)
+    await registry2.postMapping({ mapping: mapping("test:a", "test:c") })
+    assert.deepEqual((await storage.keys()).sort(), ["key1", "key2"])
+    // Stored data can't be modified via results
+    const [result] = await registry1.getMappings()
+    result.from = null
+    assert.ok((await storage.getItem("key1"))[0].from)
+    assert.ok((await registry1.getMappings())[0].from)
+  })
+
+  it("should query mappings via index and support sort, order, and cardinality", async () => {
+    const registry = new LocalMappingsProvider({ uri: "test:local", storage: "memory" })
+    const creator = [{ uri: "test:user", prefLabel: { en: "User" } }]
+    await registry.postMapping({ mapping: { ...mapping("test:a", "test:b"), created: "2020-01-01T00:00:00Z" } })
+    await registry.postMapping({ mapping: { ...mapping("test:b", "test:c"), created: "2020-01-03T00:00:00Z", creator } })
+    await registry.postMapping({ mapping: {
+      ...mapping("test:c", "test:a"),
+      to: { memberSet: [{ uri: "test:a" }, { uri: "test:d", notation: ["D"] }] },
+      toScheme: { uri: "https://example.org/otherScheme" },
+      created: "2020-01-02T00:00:00Z",
+    } })
+    const query = async (params) => (await registry.getMappings(params)).map(m => m.from.memberSet[0].uri)
+    assert.deepEqual(await query({ from: "test:a" }), ["test:a"])
+    assert.deepEqual(await query({ to: "d" }), ["test:c"])
+    assert.deepEqual(await query({ from: "test:a", direction: "both" }), ["test:c", "test:a"])
+    assert.deepEqual(await query({ from: "test:a", to: "test:c", mode: "or" }), ["test:b", "test:a"])
+    assert.deepEqual(await query({ from: "test:a", to: "test:a", direction: "backward" }), [])
+    assert.deepEqual(await query({ toScheme: "http://example.org/otherScheme" }), ["test:c"])
+    assert.deepEqual(await query({ creator: "User" }), ["test:b"])
+    assert.deepEqual(await query({ creator: "test:other|test:user" }), ["test:b"])
+    assert.deepEqual(await query({ sort: "created", order: "asc" }), ["test:a", "test:c", "test:b"])
+    assert.deepEqual(await query({ cardinality: "1-to-1" }), ["test:b", "test:a"])
+    // Index is updated on changes
+    const [result] = await registry.getMappings({ from: "test:a" })
+    await registry.putMapping({ mapping: { ...result, from: { memberSet: [{ uri: "test:e" }] } } })
+    assert.deepEqual(await query({ from: "test:a" }), [])
+    assert.deepEqual(await query({ from: "test:e" }), ["test:e"])
+    await registry.patchMapping({ mapping: { uri: result.uri, creator } })
+    assert.deepEqual(await query({ creator: "test:user", sort: "created" }), ["test:b", "test:e"])
+    await registry.deleteMapping({ mapping: result })
+    assert.deepEqual(await query({ from: "test:e" }), [])
+    assert.equal((await registry.getMappings({ limit: 1 }))._totalCount, 2)
+  })
+
+  it("should not overwrite changes made by other instances sharing the storage", async () => {
+    const storage = new MemoryStorage()
+    const registry1 = new LocalMappingsProvider({ uri: "test:local", storage, storageKey: "shared" })
+    const registry2 = new LocalMappingsProvider({ uri: "test:local", storage, storageKey: "shared" })
+    const mapping1 = await registry1.postMapping({ mapping: mapping("test:a", "test:b") })
+    assert.equal((await registry2.getMappings()).length, 1)
+    await registry1.postMapping({ mapping: mapping("test:a", "test:c") })
+    await registry2.postMapping({ mapping: mapping("test:a", "test:d") })
+    await registry1.deleteMapping({ mapping: mapping1 })
+    const stored = await storage.getItem("shared")
+    assert.deepEqual(stored.map(m => m.to.memberSet[0].uri).sort(), ["test:c", "test:d"])
+    await registry2.postAnnotation({ annotation: { target: { id: stored[0].uri }, motivation: "assessing", bodyValue: "+1" } })
+    await registry1.patchMapping({ mapping: { uri: stored[1].uri, type: ["http://www.w3.org/2004/02/skos/core#closeMatch"] } })
+    assert.equal((await registry1.getAnnotations()).length, 1)
+    assert.equal((await storage.getItem("shared--annotations")).length, 1)
+  })
+
+  it("should show changes made by other instances sharing the storage in queries", async () => {
+    const storage = new MemoryStorage()
+    const registry1 = new LocalMappingsProvider({ uri: "test:local", storage, storageKey: "shared" })
+    const registry2 = new LocalMappingsProvider({ uri: "test:local", storage, storageKey: "shared" })
+    assert.equal((await registry2.getMappings()).length, 0)
+    const created = await registry1.postMapping({ mapping: mapping("test:a", "test:b") })
+    // registry2 doesn't make any changes itself
+    assert.deepEqual((await registry2.getMappings()).map(m => m.uri), [created.uri])
+    const concordance = await registry1.postConcordance({ concordance: { fromScheme: { uri: "test:fromScheme" }, toScheme: { uri: "test:toScheme" } } })
+    assert.deepEqual((await registry2.getConcordances()).map(c => c.uri), [concordance.uri])
+    await registry1.postAnnotation({ annotation: { target: { id: created.uri }, motivation: "assessing", bodyValue: "+1" } })
+    assert.equal((await registry2.getAnnotations()).length, 1)
+    await registry1.deleteMapping({ mapping: created })
+    assert.equal((await registry2.getMappings()).length, 0)
+  })
+
+  it("should support local concordances", async () => {
+    const storage = new MemoryStorage()
+    let registry = new LocalMappingsProvider({ uri: "test:local", storage, storageKey: "local" })
+    assert.ok(registry.has.concordances)
+    assert.ok(registry.isAuthorizedFor({ type: "concordances", action: "create" }))
+    const concordance = await registry.postConcordance({ concordance: { fromScheme: { uri: "test:fromScheme" }, toScheme: { uri: "test:toScheme" } } })
+    assert.ok(concordance.uri.startsWith("urn:uuid:"))
+    assert.equal(concordance.extent, "0")
+    // partOf is kept for local concordances only
+    const mapping1 = await registry.postMapping({ mapping: { ...mapping("test:a", "test:b"), partOf: [{ uri: concordance.uri }] } })
+    const mapping2 = await registry.postMapping({ mapping: { ...mapping("test:a", "test:c"), partOf: [{ uri: "test:remoteConcordance" }] } })
+    assert.equal(mapping2.partOf, undefined)
+    let [result] = await registry.getConcordances()
+    assert.equal(result.extent, "1")
+    assert.equal(result._registry, registry)
+    await registry.patchMapping({ mapping: { uri: mapping2.uri, partOf: [{ uri: concordance.uri }] } })
+    assert.deepEqual((await registry.getMappings({ partOf: concordance.uri })).map(m => m.uri).sort(), [mapping1.uri, mapping2.uri].sort())
+    assert.equal((await registry.getConcordances({ fromScheme: "test:fromScheme" }))[0].extent, "2")
+    assert.equal((await registry.getConcordances({ fromScheme: "test:other" })).length, 0)
+    await registry.putMapping({ mapping: { ...mapping("test:a", "test:b"), uri: mapping1.uri } })
+    await registry.patchConcordance({ concordance: { uri: concordance.uri, extent: "100", notation: ["C"] } })
+    // Concordances are loaded from storage by a new instance
+    registry = new LocalMappingsProvider({ uri: "test:local", storage, storageKey: "local" })
+    ;[result] = await registry.getConcordances({ uri: concordance.uri })
+    assert.equal(result.extent, "1")
+    assert.deepEqual(result.notation, ["C"])
+    assert.equal(result.created, concordance.created)
+    // Concordances with mappings can't be deleted
+    await assert.rejects(registry.deleteConcordance({ concordance }), { name: "InvalidOrMissingParameterError" })
+    await registry.deleteMapping({ mapping: mapping2 })
+    assert.equal((await registry.getConcordances())[0].extent, "0")
+    assert.ok(await registry.deleteConcordance({ concordance }))
+    assert.equal((await registry.getConcordances()).length, 0)
+  })
+
+  it("should support local annotations", async () => {
+    const storage = new MemoryStorage()
+    let registry = new LocalMappingsProvider({ uri: "test:local", storage, storageKey: "local" })
+    assert.ok(registry.has.annotations)
+    const mapping1 = await registry.postMapping({ mapping: mapping("test:a", "test:b") })
+    const mapping2 = await registry.postMapping({ mapping: mapping("test:a", "test:c") })
+    await assert.rejects(registry.postAnnotation({ annotation: { target: "test:unknown" } }), { name: "InvalidOrMissingParameterError" })
+    const user1 = { id: "test:user1", name: "User 1" }, user2 = { id: "test:user2", name: "User 2" }
+    const annotation = await registry.postAnnotation({ annotation: { target: mapping1.uri, motivation: "assessing", bodyValue: "+1", creator: user1 } })
+    assert.ok(annotation.id.startsWith("urn:uuid:"))
+    assert.equal(annotation.type, "Annotation")
+    await registry.postAnnotation({ annotation: { target: { id: mapping2.uri }, motivation: "assessing", bodyValue: "-1", creator: user2 } })
+    await registry.postAnnotation({ annotation: { target: mapping2.uri, motivation: "commenting", bodyValue: "Looks good", creator: user1 } })
+    assert.equal((await registry.getAnnotations({ target: mapping2.uri })).length, 2)
+    assert.equal((await registry.getAnnotations({ creator: "test:user1" })).length, 2)
+    const query = async (params) => (await registry.getMappings(params)).map(m => m.uri).sort()
+    assert.deepEqual(await query({ annotatedBy: "test:user2" }), [mapping2.uri])
+    assert.deepEqual(await query({ annotatedBy: "test:user1", annotatedWith: "+1" }), [mapping1.uri])
+    assert.deepEqual(await query({ annotatedBy: "test:user1", annotatedFor: "commenting" }), [mapping2.uri])
+    assert.deepEqual(await query({ annotatedFor: "any" }), [mapping1.uri, mapping2.uri].sort())
+    assert.deepEqual(await query({ annotatedFor: "none" }), [])
+    assert.equal((await registry.getMapping({ mapping: mapping2 })).annotations.length, 2)
+    // Update annotation
+    await registry.patchAnnotation({ annotation: { id: annotation.id, bodyValue: "-1" } })
+    registry = new LocalMappingsProvider({ uri: "test:local", storage, storageKey: "local" })
+    let [result] = await registry.getAnnotations({ id: annotation.id })
+    assert.equal(result.bodyValue, "-1")
+    assert.equal(result.created, annotation.created)
+    assert.ok(result.modified)
+    assert.deepEqual(await query({ annotatedWith: "+1" }), [])
+    // Annotations are deleted with their mapping
+    await registry.deleteMapping({ mapping: mapping2 })
+    assert.equal((await registry.getAnnotations()).length, 1)
+    assert.ok(await registry.deleteAnnotation({ annotation }))
+    assert.equal((await registry.getAnnotations()).length, 0)
+    assert.deepEqual(await query({ annotatedFor: "none" }), [mapping1.uri])
+    assert.ok(!("annotations" in (await registry.getMapping({ mapping: mapping1 }))))
+  })
+
+  for (const format of ["json", "ndjson"]) {
+    it(`should store mappings in files (${format})`, async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), "cocoda-sdk-"))
+      try {
+        const storage = { type: "file", path: dir, format }
+        let registry = new LocalMappingsProvider({ uri: "test:local", storage, storageKey: "mappings-file" })
+        await registry.postMapping({ mapping: mapping("test:a", "test:b") })
+        await registry.postMapping({ mapping: mapping("test:a", "test:c") })
+        const file = path.join(dir, `mappings-file.${format}`)
+        assert.ok(fs.existsSync(file))
+        if (format === "ndjson") {
+          assert.equal(fs.readFileSync(file, "utf8").trim().split("\n").length, 2)
+        }
+        // New instance loads mappings from file
+        registry = new LocalMappingsProvider({ uri: "test:local", storage, storageKey: "mappings-file" })
+        assert.equal((await registry.getMappings()).length, 2)
+        assert.deepEqual(await new FileStorage({ path: dir, format }).keys(), ["mappings-file"])
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true })
+      }
+    })
+  }
+
+  it("should sync local mappings to a mappings API", async () => {
+    const remotePrefix = "test:/mappings/"
+    const remote = new MappingsApiProvider({
+      uri: "test:remote",
+      mappings: "test:/mappings",
+      status: { config: { mappings: { read: true, create: true, update: true } } },
+    })
+    const mock = new MockAdapter(remote.axios)
+    const remoteMappings = {}
+    let count = 0
+    mock.onPost("test:/mappings").reply(({ data }) => {
+      data = JSON.parse(data)
+      count += 1
+      data.uri = `${remotePrefix}${count}`
+      data.modified = `2020-01-01T00:00:0${count}Z`
+      remoteMappings[data.uri] = data
+      return [201, data]
+    })
+    mock.onGet(new RegExp(remotePrefix)).reply(({ url }) => remoteMappings[url] ? [200, remoteMappings[url]] : [404])
+    mock.onPut(new RegExp(remotePrefix)).reply(({ url, data }) => {
+      data = JSON.parse(data)
+      data.modified = "2020-02-01T00:00:00Z"
+      remoteMappings[url] = data
+      return [200, data]
+    })
+
+    const local = new LocalMappingsProvider({ uri: "test:local", storage: "memory" })
+    const mapping1 = await local.postMapping({ mapping: mapping("test:a", "test:b") })
+    const mapping2 = await local.postMapping({ mapping: mapping("test:a", "test:c") })
+
+    let report = await local.syncTo(remote)
+    assert.equal(report.created.length, 2)
+    assert.equal(report.failed.length, 0)
+    let mappings = await local.getMappings()
+    assert.equal(mappings.length, 2)
+    for (const mapping of mappings) {
+      const remoteUri = mapping.identifier.find(id => id.startsWith(remotePrefix))
+      assert.ok(remoteUri)
+      assert.equal(mapping.modified, remoteMappings[remoteUri].modified)
+    }
+
+    // Nothing changed
+    report = await local.syncTo(remote)
+    assert.equal(report.skipped.length, 2)
+
+    // Local change is uploaded
+    await local.patchMapping({ mapping: { uri: mapping1.uri, type: ["http://www.w3.org/2004/02/skos/core#closeMatch"] } })
+    // Remote change results in conflict
+    const remoteUri2 = (await local.getMapping({ mapping: mapping2 })).identifier.find(id => id.startsWith(remotePrefix))
+    remoteMappings[remoteUri2].modified = "2030-01-01T00:00:00Z"
+    report = await local.syncTo(remote)
+    assert.equal(report.updated.length, 1)
+    assert.equal(report.updated[0].mapping.uri, mapping1.uri)
+    assert.equal(report.conflicted.length, 1)
+    assert.equal(report.conflicted[0].mapping.uri, mapping2.uri)
+    assert.equal(Object.keys(remoteMappings).length, 2)
+
+    // Remove local copies after upload
+    await local.postMapping({ mapping: mapping("test:a", "test:d") })
+    report = await local.syncTo(remote, { strategy: "remove" })
+    assert.equal(report.created.length, 1)
+    assert.equal(report.skipped.length, 1)
+    assert.equal(report.conflicted.length, 1)
+    mappings = await local.getMappings()
+    assert.deepEqual(mappings.map(m => m.uri), [mapping2.uri])
+  })
+
+  it("should recognize synced mappings with remote URIs outside of the mappings endpoint", async () => {
+    // Registry behind a proxy: mapping URIs differ from the configured endpoint
+    const remoteMappings = {}
+    let posted = 0
+    const remote = {
+      uri: "test:remote",
+      _api: { mappings: "test:/mappings" },
+      init: async () => {},
+      postMapping: async ({ mapping }) => {
+        posted += 1
+        const uri = `https://proxy.example.org/mappings/${posted}`
+        remoteMappings[uri] = { ...mapping, uri, modified: "2020-01-01T00:00:00.000Z" }
+        return remoteMappings[uri]
+      },
+      getMapping: async ({ mapping }) => remoteMappings[mapping.uri],
+      putMapping: async ({ mapping }) => {
+        remoteMappings[mapping.uri] = { ...mapping, modified: "2020-02-01T00:00:00.000Z" }
+        return remoteMappings[mapping.uri]
+      },
+    }
+    const local = new LocalMappingsProvider({ uri: "test:local", storage: "memory" })
+    const created = await local.postMapping({ mapping: mapping("test:a", "test:b") })
+
+    let report = await local.syncTo(remote)
+    assert.equal(report.created.length, 1)
+    // Same point in time in a different time zone and precision
+    await local._updateLocalMapping(created.uri, { modified: "2020-01-01T01:00:00+01:00" })
+    report = await local.syncTo(remote)
+    assert.equal(report.skipped.length, 1)
+    assert.equal(posted, 1)
+
+    await local._updateLocalMapping(created.uri, { modified: "2020-01-15T12:00:00+01:00" })
+    report = await local.syncTo(remote)
+    assert.equal(report.updated.length, 1)
+    assert.equal(report.updated[0].remote.uri, "https://proxy.example.org/mappings/1")
+    assert.equal(posted, 1)
+
+    remoteMappings["https://proxy.example.org/mappings/1"].modified = "2020-03-01T00:00:00+01:00"
+    report = await local.syncTo(remote)
+    assert.equal(report.conflicted.length, 1)
+  })
+
+  it("should report deleted remote mappings and failed uploads when syncing", async () => {
+    const remotePrefix = "test:/mappings/"
+    const remote = new MappingsApiProvider({
+      uri: "test:remote",
+      mappings: "test:/mappings",
+      status: { config: { mappings: { read: true, create: true, update: true } } },
+    })
+    remote.setRetryConfig({ count: 0 })
+    const mock = new MockAdapter(remote.axios)
+    const remoteMappings = {}
+    let count = 0
+    mock.onPost("test:/mappings").reply(({ data }) => {
+      data = JSON.parse(data)
+      count += 1
+      data.uri = `${remotePrefix}${count}`
+      data.modified = "2020-01-01T00:00:00Z"
+      remoteMappings[data.uri] = data
+      return [201, data]
+    })
+    mock.onGet(new RegExp(remotePrefix)).reply(({ url }) => remoteMappings[url] ? [200, remoteMappings[url]] : [404])
+    mock.onPut(new RegExp(remotePrefix)).reply(500)
+
+    const local = new LocalMappingsProvider({ uri: "test:local", storage: "memory" })
+    const mapping1 = await local.postMapping({ mapping: mapping("test:a", "test:b") })
+    const mapping2 = await local.postMapping({ mapping: mapping("test:a", "test:c") })
+    let report = await local.syncTo(remote)
+    assert.equal(report.created.length, 2)
+    const remoteUri = uri => report.created.find(entry => entry.mapping.uri === uri).remote.uri
+
+    // Remote mapping was deleted
+    delete remoteMappings[remoteUri(mapping1.uri)]
+    // Updating the remote mapping fails
+    await local.patchMapping({ mapping: { uri: mapping2.uri, type: ["http://www.w3.org/2004/02/skos/core#closeMatch"] } })
+    const mappings = await local.getMappings()
+    report = await local.syncTo(remote, { strategy: "remove" })
+    assert.equal(report.conflicted.length, 1)
+    assert.equal(report.conflicted[0].mapping.uri, mapping1.uri)
+    assert.equal(report.conflicted[0].remote, null)
+    assert.equal(report.conflicted[0].reason, "Remote mapping was deleted.")
+    assert.equal(report.failed.length, 1)
+    assert.equal(report.failed[0].mapping.uri, mapping2.uri)
+    assert.equal(report.failed[0].error.code, 500)
+    // Local mappings are left untouched
+    assert.deepEqual(await local.getMappings(), mappings)
+  })
+
+})
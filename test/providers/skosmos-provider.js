@@ -3,6 +3,7 @@ import assert from "assert"
 import fs from "fs"
 import { mockRequests } from "./requests.js"
 import jskos from "jskos-tools"
+import { validateSchema } from "../../src/lib/config-schema.js"
 
 
 const provider = new SkosmosApiProvider({
@@ -47,4 +48,14 @@ describe("SkosmosApiProvider.getConcepts", () => {
       assert.deepEqual( valuereal, valuetest, `Value for key '${key}' expects '${valuetest}' but got '${valuereal}'.`)
     }
   })
-})
\ No newline at end of file
+})
+
+describe("SkosmosApiProvider.configSchema", () => {
+
+  it("should require VOCID for schemes", () => {
+    const results = validateSchema({ endpoint: "https://skosmos.bartoc.org/rest/v1/", schemes: [{ uri: schemeUriDefault }] }, SkosmosApiProvider.configSchema, "registries[0]")
+    assert.deepEqual(results, [{ path: "registries[0].schemes[0].VOCID", message: "is required", level: "error" }])
+    assert.deepEqual(validateSchema({ schemes: [{ uri: schemeUriDefault, VOCID: schemeVOCIDDefault }] }, SkosmosApiProvider.configSchema), [])
+  })
+
+})
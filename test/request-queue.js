@@ -0,0 +1,98 @@
+import assert from "assert"
+import MockAdapter from "axios-mock-adapter"
+import RequestQueue from "../src/lib/request-queue.js"
+import BaseProvider from "../src/providers/base-provider.js"
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+describe("RequestQueue", () => {
+
+  it("should be unlimited by default", async () => {
+    const queue = new RequestQueue()
+    await Promise.all([1, 2, 3].map(() => queue.acquire()))
+    assert.equal(queue.running, 3)
+    assert.equal(queue.pending, 0)
+  })
+
+  it("should limit concurrent requests and respect priorities", async () => {
+    const queue = new RequestQueue({ maxConcurrentRequests: 1 })
+    const started = []
+    const start = (name, priority) => queue.acquire({ priority }).then(() => started.push(name))
+    const promises = [start("a"), start("b"), start("c"), start("d", 1)]
+    await sleep(0)
+    assert.deepEqual(started, ["a"])
+    assert.equal(queue.pending, 3)
+    for (let i = 0; i < 3; i += 1) {
+      queue.release()
+      await sleep(0)
+    }
+    await Promise.all(promises)
+    assert.deepEqual(started, ["a", "d", "b", "c"])
+  })
+
+  it("should limit requests per second", async () => {
+    const queue = new RequestQueue({ requestsPerSecond: 50 })
+    const start = Date.now()
+    for (let i = 0; i < 3; i += 1) {
+      await queue.acquire()
+      queue.release()
+    }
+    assert.ok(Date.now() - start >= 35, "requests were started too fast")
+  })
+
+  it("should stop waiting when signal is aborted", async () => {
+    const queue = new RequestQueue({ maxConcurrentRequests: 1 })
+    await queue.acquire()
+    const controller = new AbortController()
+    const promise = queue.acquire({ signal: controller.signal })
+    controller.abort()
+    await assert.rejects(promise)
+    assert.equal(queue.pending, 0)
+    queue.release()
+    assert.equal(queue.running, 0)
+  })
+
+  it("should be used for requests of a provider", async () => {
+    class CustomProvider extends BaseProvider {
+      async getConcepts({ concepts, ...config }) {
+        return this.axios({ ...config, method: "get", url: "concepts", params: { uri: concepts[0].uri } })
+      }
+      async suggest({ search, ...config }) {
+        return this.axios({ ...config, method: "get", url: "suggest", params: { search } })
+      }
+    }
+    const provider = new CustomProvider({ maxConcurrentRequests: 2 })
+    provider.setRetryConfig({ delay: 5 })
+    const mock = new MockAdapter(provider.axios)
+    let running = 0, maxRunning = 0, retried = false
+    const requests = []
+    const reply = async config => {
+      requests.push(config.params.uri || config.params.search)
+      running += 1
+      maxRunning = Math.max(running, maxRunning)
+      await sleep(10)
+      running -= 1
+      // Retry of first request goes through the queue again
+      if (config.params.uri == "1" && !retried) {
+        retried = true
+        return [503]
+      }
+      return [200, []]
+    }
+    mock.onGet("concepts").reply(reply)
+    mock.onGet("suggest").reply(reply)
+    const promises = ["1", "2", "3", "4"].map(uri => provider.getConcepts({ concepts: [{ uri }] }))
+    await sleep(0)
+    promises.push(provider.suggest({ search: "s" }))
+    await Promise.all(promises)
+    assert.equal(maxRunning, 2)
+    assert.deepEqual(requests.slice(0, 3), ["1", "2", "s"])
+    assert.equal(requests.filter(r => r == "1").length, 2)
+    assert.equal(provider._requestQueue.running, 0)
+    // Failed requests release their slot as well
+    mock.onGet("concepts").reply(404)
+    await assert.rejects(provider.getConcepts({ concepts: [{ uri: "5" }] }))
+    assert.equal(provider._requestQueue.running, 0)
+  })
+
+})
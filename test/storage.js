@@ -0,0 +1,33 @@
+import assert from "assert"
+import { MemoryStorage, LocalforageStorage } from "../src/lib/storage.js"
+
+describe("storage", () => {
+
+  it("should remove least recently used entries of a prefix from localforage storage", async () => {
+    // Use an in-memory store instead of IndexedDB (shared by two registries like the browser's cache store)
+    const store = new MemoryStorage()
+    const createStorage = prefix => {
+      const storage = new LocalforageStorage({ name: "test", storeName: "cache", maxEntries: 2, prefix })
+      storage._store = store
+      return storage
+    }
+    const a = createStorage("a|"), b = createStorage("b|")
+    await a.setItem("a|1", 1)
+    await b.setItem("b|1", 1)
+    await a.setItem("a|2", 2)
+    await a.setItem("a|0", 0)
+    // Newest entry survives, oldest entry of the same prefix is removed, other prefixes are not affected
+    assert.equal(await a.getItem("a|0"), 0)
+    assert.equal(await a.getItem("a|1"), null)
+    assert.equal(await a.getItem("b|1"), 1)
+    // Reading marks an entry as recently used
+    assert.equal(await a.getItem("a|2"), 2)
+    await a.setItem("a|3", 3)
+    assert.deepEqual([await a.getItem("a|0"), await a.getItem("a|2"), await a.getItem("a|3")], [null, 2, 3])
+    // Order is kept in the store
+    await createStorage("a|").setItem("a|4", 4)
+    assert.deepEqual([await a.getItem("a|2"), await a.getItem("a|3"), await a.getItem("a|4")], [null, 3, 4])
+    assert.equal(await b.getItem("b|1"), 1)
+  })
+
+})
@@ -0,0 +1,135 @@
+import assert from "assert"
+import { createHttpClient } from "../src/lib/transport.js"
+import { CanceledError, isCancel } from "../src/lib/cancel.js"
+import axios from "axios"
+import BaseProvider from "../src/providers/base-provider.js"
+import * as errors from "../src/errors/index.js"
+
+describe("transport", () => {
+  const originalFetch = globalThis.fetch
+  let requests, handler
+
+  beforeEach(() => {
+    requests = []
+    handler = () => new Response("{}", { status: 200 })
+    globalThis.fetch = async (url, options) => {
+      requests.push({ url, ...options })
+      if (options.signal?.aborted) {
+        throw new DOMException("aborted", "AbortError")
+      }
+      return handler(url, options)
+    }
+  })
+
+  after(() => {
+    globalThis.fetch = originalFetch
+  })
+
+  it("should throw for unknown transports", () => {
+    assert.throws(() => createHttpClient({ transport: "xhr" }), errors.InvalidOrMissingParameterError)
+  })
+
+  it("should perform requests with fetch transport", async () => {
+    const client = createHttpClient({ transport: "fetch" })
+    handler = () => new Response("[1,2]", { status: 200, headers: { "X-Total-Count": "2" } })
+    const response = await client.get("https://example.org/test?a=1", { params: { b: [2, 3], c: undefined } })
+    assert.equal(requests[0].url, "https://example.org/test?a=1&b=2&b=3")
+    assert.equal(requests[0].method, "GET")
+    assert.deepEqual(response.data, [1, 2])
+    assert.equal(response.status, 200)
+    assert.equal(response.headers["x-total-count"], "2")
+
+    handler = () => new Response("text", { status: 200 })
+    await client.post("https://example.org/test", { a: 1 })
+    assert.equal(requests[1].method, "POST")
+    assert.equal(requests[1].body, "{\"a\":1}")
+    assert.equal(requests[1].headers["Content-Type"], "application/json")
+    assert.equal((await client.get("https://example.org/test")).data, "text")
+  })
+
+  it("should reject with axios-like errors with fetch transport", async () => {
+    const client = createHttpClient({ transport: "fetch", timeout: 10 })
+    handler = () => new Response("{\"error\":\"NotFound\"}", { status: 404 })
+    await assert.rejects(client.get("https://example.org/test"), error => error.response?.status === 404 && error.response.data.error === "NotFound")
+    handler = () => {
+      throw new TypeError("fetch failed")
+    }
+    await assert.rejects(client.get("https://example.org/test"), error => !error.response && !!error.request)
+    handler = (url, { signal }) => new Promise((resolve, reject) => signal.addEventListener("abort", () => reject(new DOMException("aborted", "AbortError"))))
+    await assert.rejects(client.get("https://example.org/test"), error => error.code === "ECONNABORTED")
+  })
+
+  it("should keep BaseProvider's interceptors with fetch transport", async () => {
+    const provider = new BaseProvider({ transport: "fetch" })
+    provider.languages = ["abc"]
+    provider.setAuth({ key: "blubb", bearerToken: "abcdef" })
+    provider.has.auth = true
+    provider.setRetryConfig({ delay: 5 })
+    handler = () => requests.length == 1 ? new Response(null, { status: 403 }) : new Response("[]", { status: 200, headers: { "x-total-count": "5" } })
+    const result = await provider.axios({ method: "get", url: "https://example.org/test" })
+    assert.equal(requests.length, 2)
+    assert.ok(new URL(requests[1].url).searchParams.get("language").startsWith("abc,"))
+    assert.equal(requests[1].headers.Authorization, "Bearer abcdef")
+    assert.ok(Array.isArray(result))
+    assert.equal(result._totalCount, 5)
+    assert.ok(result._url.startsWith("https://example.org/test?"))
+  })
+
+  it("should map errors and support cancellation with fetch transport", async () => {
+    class Provider extends BaseProvider {
+      getConcepts({ ...config }) {
+        return this.axios({ ...config, method: "get", url: "https://example.org/concepts" })
+      }
+    }
+    const provider = new Provider({ transport: "fetch" })
+    provider.setRetryConfig({ count: 0 })
+    handler = () => new Response(null, { status: 404 })
+    await assert.rejects(provider.getConcepts({ concepts: [] }), errors.InvalidRequestError)
+    handler = () => new Response(null, { status: 500 })
+    await assert.rejects(provider.getConcepts({ concepts: [] }), errors.BackendError)
+    handler = (url, { signal }) => new Promise((resolve, reject) => signal.addEventListener("abort", () => reject(new DOMException("aborted", "AbortError"))))
+    const promise = provider.getConcepts({ concepts: [] })
+    setTimeout(() => promise.cancel("cancelled"), 5)
+    await assert.rejects(promise, error => error instanceof errors.CDKError && error.relatedError === "cancelled")
+  })
+
+  it("should perform requests with axios transport using adapters from client defaults", async () => {
+    const client = createHttpClient({ timeout: 1000 })
+    let received
+    client.defaults.adapter = async config => {
+      received = config
+      return { data: [1], status: 200, statusText: "OK", headers: {}, config }
+    }
+    let interceptedConfig
+    client.interceptors.request.use(config => {
+      interceptedConfig = config
+      return config
+    })
+    const response = await client.request({ method: "get", url: "https://example.org/test", params: { a: 1 } })
+    assert.deepEqual(response.data, [1])
+    assert.equal(received.timeout, 1000)
+    assert.deepEqual(received.params, { a: 1 })
+    assert.equal(interceptedConfig.url, "https://example.org/test")
+    // Requests are made with axios, not fetch
+    assert.equal(requests.length, 0)
+  })
+
+  it("should support cancel tokens with both transports without depending on axios", async () => {
+    class Provider extends BaseProvider {
+      getConcepts({ ...config }) {
+        return this.axios({ ...config, method: "get", url: "https://example.org/concepts" })
+      }
+    }
+    for (const transport of ["axios", "fetch"]) {
+      const provider = new Provider({ transport })
+      const source = provider.getCancelTokenSource()
+      source.cancel("cancelled")
+      await assert.rejects(provider.getConcepts({ cancelToken: source.token }), error => error instanceof errors.CancelledError && isCancel(error.relatedError))
+    }
+    // Cancel errors are compatible with axios
+    assert.ok(axios.isCancel(new CanceledError()))
+    assert.ok(isCancel(new axios.CanceledError()))
+    assert.ok(!isCancel(new Error()))
+  })
+
+})